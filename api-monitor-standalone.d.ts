@@ -0,0 +1,693 @@
+// api-monitor-standalone.js 的类型声明
+// 脚本以 <script> / @require 方式加载，所有声明都是全局的
+
+type APIMonitorRequestType = 'xhr' | 'fetch' | 'jsonp' | 'script' | 'performance' | 'websocket' | 'eventsource';
+
+/** streaming 表示 fetch 响应体仍在接收；open 表示 WebSocket / EventSource 已连接、尚未关闭 */
+type APIMonitorRequestState = 'pending' | 'streaming' | 'open' | 'completed' | 'failed' | 'aborted';
+
+/** 字符串为包含匹配，url/path 条件中含 * 时为通配符，见 APIMonitorMatcher */
+type APIMonitorPattern = string | RegExp | ((value: any) => boolean);
+
+interface APIMonitorFilterRequest {
+    url: string;
+    host: string;
+    path: string;
+    method?: string;
+    headers?: Record<string, string>;
+    body?: any;
+    hasBody: boolean;
+}
+
+/**
+ * 字符串不含 * 时为 URL 包含匹配；含 * 时为通配符，* 匹配任意字符（包括 /），
+ * 整体匹配路径（如 '/h5/mtop.cbu.*'），以 http 或 // 开头时整体匹配完整URL。
+ * 对象形式的 url 字段和规则的 match.url 使用相同写法，各字段需同时满足
+ */
+type APIMonitorMatcher =
+    | string
+    | RegExp
+    | ((request: APIMonitorFilterRequest) => boolean)
+    | {
+        url?: APIMonitorPattern;
+        path?: APIMonitorPattern;
+        /** 'example.com' 匹配域名及子域名，'*.example.com' 为通配，'=example.com' 只匹配自身 */
+        host?: string;
+        method?: string | string[];
+        headers?: Record<string, APIMonitorPattern>;
+        body?: APIMonitorPattern;
+        test?: (request: APIMonitorFilterRequest) => boolean;
+    };
+
+interface APIMonitorFilter {
+    targetPaths: APIMonitorMatcher[];
+    allowedDomains: string[];
+    methods: string[];
+    include: APIMonitorMatcher[];
+    exclude: APIMonitorMatcher[];
+}
+
+interface APIMonitorRuleContext {
+    method: string;
+    url: string;
+    headers?: Record<string, string>;
+    body?: any;
+    rule: APIMonitorRule;
+}
+
+type APIMonitorRuleValue<T> = T | ((current: any, context: APIMonitorRuleContext) => T);
+
+interface APIMonitorRule {
+    id?: string;
+    name?: string;
+    enabled?: boolean;
+    match?: {
+        method?: string | string[];
+        /** 写法同 APIMonitorMatcher 的字符串，函数参数为完整URL */
+        url?: APIMonitorPattern;
+        body?: APIMonitorPattern;
+    };
+    rewriteRequest?: {
+        method?: APIMonitorRuleValue<string>;
+        url?: APIMonitorRuleValue<string>;
+        /** 值为 null 时删除该请求头 */
+        headers?: APIMonitorRuleValue<Record<string, string | null>>;
+        body?: APIMonitorRuleValue<any>;
+    };
+    rewriteResponse?: {
+        status?: APIMonitorRuleValue<number>;
+        statusText?: APIMonitorRuleValue<string>;
+        headers?: APIMonitorRuleValue<Record<string, string | null>>;
+        body?: APIMonitorRuleValue<any>;
+    };
+    mockResponse?: {
+        status?: APIMonitorRuleValue<number>;
+        statusText?: string;
+        headers?: APIMonitorRuleValue<Record<string, string | null>>;
+        body?: APIMonitorRuleValue<any>;
+        delay?: number;
+    };
+}
+
+interface APIMonitorRedactionRule {
+    type: 'header' | 'query' | 'jsonPath' | 'pattern';
+    /** header / query 规则的名称匹配 */
+    name?: string | string[] | RegExp;
+    /** jsonPath 规则的路径，如 '$.data.user.phone' */
+    path?: string;
+    /** pattern 规则匹配的文本 */
+    pattern?: string | RegExp;
+    action?: 'mask' | 'hash' | 'drop';
+    target?: 'request' | 'response' | 'both';
+    mask?: string;
+}
+
+interface APIMonitorRedaction {
+    enabled: boolean;
+    rules: APIMonitorRedactionRule[];
+    mask: string;
+    salt: string;
+}
+
+interface APIMonitorResourceTiming {
+    startedAt: number;
+    dns: number;
+    connect: number;
+    ssl: number;
+    ttfb: number;
+    download: number;
+    total: number;
+    transferSize: number;
+    encodedBodySize: number;
+    decodedBodySize: number;
+    protocol: string;
+}
+
+interface APIMonitorSchemaChange {
+    path: string;
+    type: 'added' | 'removed' | 'typeChanged';
+    expected?: string | string[];
+    actual?: string | string[];
+}
+
+/** mtop 网关请求的解码结果，签名参数取自查询参数，params 为 JSON 解析后的 data */
+interface APIMonitorMtopInfo {
+    api: string;
+    v?: string;
+    appKey?: string;
+    t?: string;
+    sign?: string;
+    jsv?: string;
+    params?: any;
+    /** 以下字段在响应包含 ret 时存在 */
+    ret?: string[];
+    /** ret 第一项 '::' 之前的部分，如 'FAIL_SYS_TOKEN_EXPIRED' */
+    retCode?: string;
+    retMessage?: string;
+    /** false 时记录计为错误（统计、列表中的“所有错误”筛选），state 仍为 completed 并触发 requestCompleted */
+    success?: boolean;
+}
+
+interface APIMonitorFrame {
+    direction: 'sent' | 'received';
+    /** 毫秒时间戳 */
+    time: number;
+    opcode: 'text' | 'binary';
+    /** 字节数 */
+    size: number;
+    /** JSON 文本解析为对象；captureFields 关闭请求体/响应体时不记录 */
+    data?: any;
+    /** 超过 connections.maxFrameSize 被截断 */
+    truncated?: boolean;
+    /** EventSource 的事件名和 id */
+    event?: string;
+    lastEventId?: string;
+}
+
+interface APIMonitorConnectionEvent {
+    type: 'connecting' | 'open' | 'error' | 'reconnecting' | 'close';
+    time: number;
+    code?: number;
+    reason?: string;
+}
+
+interface APIMonitorRecord {
+    id: string;
+    type: APIMonitorRequestType;
+    state: APIMonitorRequestState;
+    method?: string;
+    url?: string;
+    domain?: string;
+    path?: string;
+    timestamp?: string;
+    duration?: number;
+    initiator?: string;
+    request?: any;
+    requestBodyType?: string;
+    requestHeaders?: Record<string, string>;
+    status?: number;
+    response?: any;
+    /** XHR 记录为 getAllResponseHeaders() 的原始字符串 */
+    responseHeaders?: Record<string, string> | string;
+    error?: { type: 'network' | 'timeout' | 'abort' | 'jsonp'; message: string };
+    timing?: APIMonitorResourceTiming;
+    ruleId?: string;
+    mocked?: boolean;
+    jsonpCallback?: string;
+    /** 重放记录对应的原记录ID */
+    replayOf?: string;
+    schemaDrift?: APIMonitorSchemaChange[];
+    mtop?: APIMonitorMtopInfo;
+    /** 捕获时正在记录的会话 */
+    sessionId?: string;
+    page?: APIMonitorPageContext;
+    /** 以下为逐块读取的 fetch 响应体字段，chunks 只在多于一块时记录 */
+    responseSize?: number;
+    responseTruncated?: boolean;
+    /** binaryBody 为 'base64' 时二进制响应体以 Base64 保存 */
+    responseEncoding?: 'base64';
+    chunks?: Array<{ time: number; size: number }>;
+    chunkCount?: number;
+    /** 以下为 websocket / eventsource 记录的字段，frames 只保留最近 connections.maxFrames 条 */
+    frames?: APIMonitorFrame[];
+    frameCount?: number;
+    droppedFrames?: number;
+    bytesSent?: number;
+    bytesReceived?: number;
+    lifecycle?: APIMonitorConnectionEvent[];
+    protocol?: string;
+    extensions?: string;
+    /** 插件可以添加自定义字段 */
+    [field: string]: any;
+}
+
+interface APIMonitorPendingRequest {
+    id: string;
+    type: APIMonitorRequestType;
+    method: string;
+    url: string;
+    domain: string;
+    path: string;
+    timestamp: string;
+    state: 'pending';
+    sessionId: string | null;
+}
+
+interface APIMonitorPageContext {
+    /** 同一标签页刷新或跳转后不变 */
+    tabId: string;
+    /** 每次页面加载生成 */
+    navigationId: string;
+    url: string;
+}
+
+interface APIMonitorSession {
+    id: string;
+    name: string;
+    startedAt: string;
+    stoppedAt: string | null;
+    active: boolean;
+    /** 当前已加载的记录中属于该会话的条数 */
+    recordCount: number;
+}
+
+interface APIMonitorConfig {
+    /** 实例名称，同名实例只会创建一次，默认 'default' */
+    name: string;
+    targetPaths: APIMonitorMatcher[];
+    allowedDomains: string[];
+    methods: string[];
+    include: APIMonitorMatcher[];
+    exclude: APIMonitorMatcher[];
+    maxStoredRequests: number;
+    captureFields: {
+        request: { url: boolean; method: boolean; headers: boolean; payload: boolean };
+        response: { status: boolean; headers: boolean; body: boolean; timing: boolean };
+        metadata: { timestamp: boolean; domain: boolean; path: boolean; duration: boolean; initiator: boolean; page: boolean };
+    };
+    storageKey: string;
+    storage: {
+        backend: 'auto' | 'indexedDB' | 'localStorage';
+        maxSize: number | null;
+        maxAge: number;
+    };
+    rules: APIMonitorRule[];
+    plugins: Array<APIMonitorPlugin | ((monitor: APIMonitor) => APIMonitorPlugin)>;
+    redaction: APIMonitorRedaction;
+    extractions: APIMonitorExtractionRule[];
+    jsonpCallbackParams: string[];
+    schema: {
+        enabled: boolean;
+        maxDrifts: number;
+    };
+    connections: {
+        enabled: boolean;
+        maxFrames: number;
+        maxFrameSize: number;
+        flushInterval: number;
+    };
+    mtop: {
+        enabled: boolean;
+    };
+    streaming: {
+        enabled: boolean;
+        saveDelay: number;
+        maxBodySize: number | null;
+        maxChunks: number;
+        binaryBody: 'describe' | 'base64';
+        flushInterval: number;
+    };
+    sink: {
+        enabled: boolean;
+        url: string;
+        headers: Record<string, string>;
+        /** auto 在可用时使用 GM_xmlhttpRequest */
+        transport: 'auto' | 'fetch' | 'gm';
+        /** 通过 <script> 加载时传入油猴脚本中的 GM_xmlhttpRequest */
+        xmlhttpRequest: ((details: Record<string, any>) => any) | null;
+        batchSize: number;
+        flushInterval: number;
+        retryDelay: number;
+        maxRetryDelay: number;
+        maxQueueSize: number;
+        timeout: number;
+    };
+    enableUI: boolean;
+    enableLog: boolean;
+    autoStart: boolean;
+}
+
+type APIMonitorUserConfig = Partial<Omit<APIMonitorConfig, 'captureFields' | 'storage' | 'redaction' | 'schema' | 'connections' | 'streaming' | 'mtop' | 'extractions' | 'sink'>> & {
+    captureFields?: {
+        request?: Partial<APIMonitorConfig['captureFields']['request']>;
+        response?: Partial<APIMonitorConfig['captureFields']['response']>;
+        metadata?: Partial<APIMonitorConfig['captureFields']['metadata']>;
+    };
+    storage?: Partial<APIMonitorConfig['storage']>;
+    redaction?: Partial<APIMonitorRedaction>;
+    schema?: Partial<APIMonitorConfig['schema']>;
+    connections?: Partial<APIMonitorConfig['connections']>;
+    streaming?: Partial<APIMonitorConfig['streaming']>;
+    mtop?: Partial<APIMonitorConfig['mtop']>;
+    sink?: Partial<APIMonitorConfig['sink']>;
+    extractions?: Array<Partial<APIMonitorExtractionRule> & Pick<APIMonitorExtractionRule, 'columns'>>;
+};
+
+interface APIMonitorExtractionRule {
+    /** 表名，省略时为 table1、table2... */
+    name: string;
+    /** 省略时匹配所有记录 */
+    match?: APIMonitorMatcher | APIMonitorMatcher[];
+    source: 'response' | 'request';
+    /** 列表所在的 JSONPath，匹配到数组时展开 */
+    list: string;
+    /** 列名 -> 相对列表项的 JSONPath 或取值函数，数组写法时列名即路径 */
+    columns: string[] | Record<string, string | ((item: any, record: APIMonitorRecord) => any)>;
+    /** 去重的列 */
+    key?: string;
+    maxRows: number;
+}
+
+interface APIMonitorTable {
+    name: string;
+    columns: string[];
+    key?: string;
+    rows: Array<Record<string, any>>;
+}
+
+type APIMonitorTableFormat = 'csv' | 'jsonl';
+
+interface APIMonitorPluginContext {
+    monitor: APIMonitor;
+    [key: string]: any;
+}
+
+interface APIMonitorPlugin {
+    name?: string;
+    /** 返回 false 不捕获该请求 */
+    shouldCapture?(request: APIMonitorFilterRequest, context: APIMonitorPluginContext): boolean | void;
+    /** 返回的对象替换用于构建记录的原始数据，其他返回值忽略 */
+    beforeBuild?(data: Record<string, any>, context: APIMonitorPluginContext & { type: APIMonitorRequestType }): Record<string, any> | void;
+    /** 返回的对象替换构建好的记录，可用于添加自定义字段，其他返回值忽略 */
+    transformRecord?(record: APIMonitorRecord, context: APIMonitorPluginContext & { type: APIMonitorRequestType; data: Record<string, any> }): APIMonitorRecord | void;
+    /** 返回 false 不保存该记录；返回的对象替换记录，之后才执行脱敏，插件添加的字段同样会被脱敏 */
+    beforeSave?(record: APIMonitorRecord, context: APIMonitorPluginContext): APIMonitorRecord | boolean | void;
+    afterSave?(record: APIMonitorRecord, context: APIMonitorPluginContext): void;
+    /** 返回值替换导出内容 */
+    onExport?(payload: any, context: APIMonitorPluginContext & { format: string; table?: string }): any;
+}
+
+interface APIMonitorSchemaDrift {
+    endpoint: string;
+    method: string;
+    path: string;
+    requestId: string;
+    timestamp: string;
+    changes: APIMonitorSchemaChange[];
+}
+
+interface APIMonitorSchemaNode {
+    type: string | string[];
+    properties?: Record<string, APIMonitorSchemaNode>;
+    required?: string[];
+    items?: APIMonitorSchemaNode;
+}
+
+interface APIMonitorEndpointSchema {
+    endpoint: string;
+    method: string;
+    path: string;
+    schema: APIMonitorSchemaNode;
+    samples: number;
+    firstSeen: string;
+    lastSeen: string;
+    drifts: APIMonitorSchemaDrift[];
+}
+
+interface APIMonitorDiffChange {
+    path: string;
+    type: 'added' | 'removed' | 'changed';
+    before?: any;
+    after?: any;
+}
+
+interface APIMonitorDiffResult {
+    a: { id: string; method?: string; url?: string; status?: number };
+    b: { id: string; method?: string; url?: string; status?: number };
+    sections: {
+        query: APIMonitorDiffChange[];
+        request: APIMonitorDiffChange[];
+        response: APIMonitorDiffChange[];
+        requestHeaders: APIMonitorDiffChange[];
+        responseHeaders: APIMonitorDiffChange[];
+    };
+    summary: { added: number; removed: number; changed: number };
+}
+
+interface APIMonitorEndpointStats {
+    endpoint: string;
+    method: string;
+    path: string;
+    count: number;
+    errors: number;
+    errorRate: number;
+    duration: {
+        min: number | null;
+        avg: number | null;
+        p50: number | null;
+        p90: number | null;
+        p99: number | null;
+        max: number | null;
+    };
+    status: Record<string, number>;
+    states: Record<string, number>;
+    size: {
+        request: { total: number; avg: number };
+        response: { total: number; avg: number };
+    };
+    timeline: Array<{ start: string; count: number; errors: number }>;
+}
+
+interface APIMonitorStats {
+    generatedAt: string;
+    range: { start: string; end: string; bucketSize: number };
+    total: APIMonitorEndpointStats;
+    endpoints: APIMonitorEndpointStats[];
+}
+
+interface APIMonitorStorageInfo {
+    backend: 'indexedDB' | 'localStorage' | null;
+    count: number;
+    size: number;
+    maxSize: number | null;
+    maxAge: number;
+}
+
+interface APIMonitorReplayOverrides {
+    method?: APIMonitorRuleValue<string>;
+    url?: APIMonitorRuleValue<string>;
+    headers?: APIMonitorRuleValue<Record<string, string | null>>;
+    body?: APIMonitorRuleValue<any>;
+    credentials?: 'omit' | 'same-origin' | 'include';
+}
+
+interface APIMonitorOpenAPIDocument {
+    openapi: '3.1.0';
+    info: { title: string; version: string; description?: string };
+    servers: Array<{ url: string }>;
+    /** 路径 -> 小写方法名 -> Operation，Operation 带 x-sample-count */
+    paths: Record<string, Record<string, any>>;
+}
+
+interface APIMonitorSinkStatus {
+    enabled: boolean;
+    url: string;
+    /** transport 为 gm 但 GM_xmlhttpRequest 不可用时为 null */
+    transport: 'fetch' | 'gm' | null;
+    queued: number;
+    inFlight: boolean;
+    attempt: number;
+    nextRetryAt: number | null;
+    lastError: string | null;
+    lastSuccessAt: number | null;
+}
+
+/** 收集端收到的请求体 */
+interface APIMonitorSinkPayload {
+    monitor: string;
+    page: string;
+    userAgent: string;
+    sentAt: string;
+    records: APIMonitorRecord[];
+}
+
+type APIMonitorSnippetFormat = 'curl' | 'fetch' | 'node' | 'python';
+
+/** 事件名 -> 监听函数收到的数据 */
+interface APIMonitorEventMap {
+    requestStarted: APIMonitorPendingRequest;
+    /** 任意记录保存后触发 */
+    requestCaptured: APIMonitorRecord;
+    /** 记录以 completed 状态保存或连接正常关闭时触发（HTTP 错误状态码和 mtop 业务失败同样算完成，可通过 status 或 mtop.success 区分） */
+    requestCompleted: APIMonitorRecord;
+    /** 记录以 failed / aborted 状态保存或连接异常关闭时触发 */
+    requestFailed: APIMonitorRecord;
+    requestUpdated: APIMonitorRecord;
+    dataCleared: undefined;
+    schemaDrift: APIMonitorSchemaDrift;
+    /** 提取规则从记录中取到行时触发，rows 为本次提取的行 */
+    rowsExtracted: { table: string; rows: Array<Record<string, any>>; recordId: string };
+    /** start() 之后的微任务中触发，autoStart 时在 startAPIMonitor() 返回后注册的监听也能收到 */
+    monitorStarted: { name: string; startedAt: number };
+    monitorStopped: { name: string; stoppedAt: number };
+    configChanged: { changes: Record<string, any>; config: APIMonitorConfig };
+    storageFull: APIMonitorStorageInfo & { evicted: number; error: string };
+    /** 收到其他标签页捕获或更新的记录 */
+    requestSynced: APIMonitorRecord;
+    /** 会话开始、结束、重命名，包括其他标签页的修改 */
+    sessionChanged: { sessions: APIMonitorSession[]; activeSession: APIMonitorSession | null };
+    sinkFlushed: { count: number; queued: number };
+    /** retryIn 为 null 时本批记录被收集端拒绝（4xx）并已丢弃 */
+    sinkError: { error: string; status?: number; attempt: number; retryIn: number | null; dropped: number; queued: number };
+}
+
+type APIMonitorEventName = keyof APIMonitorEventMap;
+
+type APIMonitorUnsubscribe = () => boolean;
+
+declare class APIMonitor {
+    constructor(config?: APIMonitorUserConfig);
+
+    readonly config: APIMonitorConfig;
+    readonly capturedRequests: APIMonitorRecord[];
+    readonly isMonitoring: boolean;
+    readonly destroyed: boolean;
+    readonly storageReady: Promise<void>;
+
+    start(): void;
+    stop(): void;
+    /** 停止监控并移除 UI、事件监听和实例注册 */
+    destroy(): void;
+
+    on<K extends APIMonitorEventName>(eventName: K, callback: (data: APIMonitorEventMap[K]) => void): APIMonitorUnsubscribe;
+    once<K extends APIMonitorEventName>(eventName: K, callback: (data: APIMonitorEventMap[K]) => void): APIMonitorUnsubscribe;
+    /** 不传 callback 时移除该事件的全部监听 */
+    off<K extends APIMonitorEventName>(eventName: K, callback?: (data: APIMonitorEventMap[K]) => void): boolean;
+
+    updateConfig(changes: APIMonitorUserConfig): APIMonitorConfig;
+    getFilter(): APIMonitorFilter;
+    setFilter(filter: Partial<Record<keyof APIMonitorFilter, any>>): APIMonitorFilter;
+    getRedaction(): APIMonitorRedaction;
+    setRedaction(redaction: Partial<APIMonitorRedaction>): APIMonitorRedaction;
+
+    addRule(rule: APIMonitorRule): APIMonitorRule;
+    updateRule(id: string, changes: Partial<APIMonitorRule>): APIMonitorRule | null;
+    removeRule(id: string): boolean;
+    getRules(): APIMonitorRule[];
+    clearRules(): void;
+
+    use(plugin: APIMonitorPlugin | ((monitor: APIMonitor) => APIMonitorPlugin)): this;
+    unuse(name: string | APIMonitorPlugin): boolean;
+    getPlugins(): APIMonitorPlugin[];
+
+    getRequests(): APIMonitorRecord[];
+    getPendingRequests(): APIMonitorPendingRequest[];
+    getStorageInfo(): APIMonitorStorageInfo;
+    clear(): void;
+
+    download(filename?: string): void;
+    downloadHAR(filename?: string): void;
+    exportHAR(): any;
+    downloadOpenAPI(filename?: string): void;
+    /** 按方法和模板化路径汇总记录生成的 OpenAPI 3.1 文档 */
+    exportOpenAPI(): APIMonitorOpenAPIDocument;
+
+    /** 按脱敏规则生成，被脱敏的值需手动补全；不支持的格式抛出异常 */
+    toSnippet(id: string | APIMonitorRecord, format?: APIMonitorSnippetFormat): string | null;
+    /** 不支持的格式或复制失败时 reject */
+    copySnippet(id: string | APIMonitorRecord, format?: APIMonitorSnippetFormat): Promise<boolean>;
+    /**
+     * 本页捕获的记录使用脱敏前的请求重放；从存储加载或其他标签页同步的记录查询参数已脱敏时 reject，
+     * 可通过 overrides.url 提供完整 URL。重放结果被 beforeSave 插件拦截、保存出错，
+     * 或请求被其他监控器的模拟规则直接响应而未生成记录时 reject
+     */
+    replay(id: string | APIMonitorRecord, overrides?: APIMonitorReplayOverrides): Promise<APIMonitorRecord>;
+    diff(idA: string | APIMonitorRecord, idB: string | APIMonitorRecord): APIMonitorDiffResult;
+
+    getSchemas(): APIMonitorEndpointSchema[];
+    getSchemaDrifts(): APIMonitorSchemaDrift[];
+    clearSchemas(): void;
+
+    getStats(options?: { timeRange?: number; buckets?: number }): APIMonitorStats;
+
+    getTables(): Array<Omit<APIMonitorTable, 'rows'> & { rowCount: number }>;
+    getTable(name: string): APIMonitorTable | null;
+    /** 不传 name 时清空全部数据表 */
+    clearTable(name?: string): void;
+    exportTable(name: string, format?: APIMonitorTableFormat): string;
+    downloadTable(name: string, format?: APIMonitorTableFormat, filename?: string): void;
+
+    /** 立即上传一批队列中的记录，返回本批条数 */
+    flushSink(): Promise<number>;
+    getSinkStatus(): APIMonitorSinkStatus;
+
+    /** 开始新会话并结束当前会话，所有标签页之后的记录都归入新会话 */
+    startSession(name?: string): Omit<APIMonitorSession, 'active' | 'recordCount'>;
+    stopSession(): Omit<APIMonitorSession, 'active' | 'recordCount'> | null;
+    renameSession(id: string, name: string): Omit<APIMonitorSession, 'active' | 'recordCount'> | null;
+    /** 切换面板显示的会话：'active' 跟随当前会话，'all' 显示全部记录 */
+    switchSession(view: 'active' | 'all' | string): boolean;
+    getSessions(): APIMonitorSession[];
+    getActiveSession(): APIMonitorSession | null;
+    getSessionRequests(id: string): APIMonitorRecord[];
+}
+
+/** startAPIMonitor 挂到 window.monitorAPI 上的精简接口 */
+interface APIMonitorGlobalAPI {
+    name: string;
+    getRequests: APIMonitor['getRequests'];
+    getPendingRequests: APIMonitor['getPendingRequests'];
+    clear: APIMonitor['clear'];
+    download: APIMonitor['download'];
+    downloadHAR: APIMonitor['downloadHAR'];
+    exportHAR: APIMonitor['exportHAR'];
+    downloadOpenAPI: APIMonitor['downloadOpenAPI'];
+    exportOpenAPI: APIMonitor['exportOpenAPI'];
+    toSnippet: APIMonitor['toSnippet'];
+    copySnippet: APIMonitor['copySnippet'];
+    replay: APIMonitor['replay'];
+    diff: APIMonitor['diff'];
+    getSchemas: APIMonitor['getSchemas'];
+    getSchemaDrifts: APIMonitor['getSchemaDrifts'];
+    clearSchemas: APIMonitor['clearSchemas'];
+    getStats: APIMonitor['getStats'];
+    getTables: APIMonitor['getTables'];
+    getTable: APIMonitor['getTable'];
+    clearTable: APIMonitor['clearTable'];
+    exportTable: APIMonitor['exportTable'];
+    downloadTable: APIMonitor['downloadTable'];
+    flushSink: APIMonitor['flushSink'];
+    getSinkStatus: APIMonitor['getSinkStatus'];
+    startSession: APIMonitor['startSession'];
+    stopSession: APIMonitor['stopSession'];
+    renameSession: APIMonitor['renameSession'];
+    switchSession: APIMonitor['switchSession'];
+    getSessions: APIMonitor['getSessions'];
+    getActiveSession: APIMonitor['getActiveSession'];
+    getSessionRequests: APIMonitor['getSessionRequests'];
+    use: (plugin: Parameters<APIMonitor['use']>[0]) => APIMonitor;
+    unuse: APIMonitor['unuse'];
+    start: APIMonitor['start'];
+    stop: APIMonitor['stop'];
+    destroy: APIMonitor['destroy'];
+    getConfig: () => APIMonitorConfig;
+    getFilter: APIMonitor['getFilter'];
+    setFilter: APIMonitor['setFilter'];
+    getRedaction: APIMonitor['getRedaction'];
+    setRedaction: APIMonitor['setRedaction'];
+    getStorageInfo: APIMonitor['getStorageInfo'];
+    addRule: APIMonitor['addRule'];
+    updateRule: APIMonitor['updateRule'];
+    removeRule: APIMonitor['removeRule'];
+    getRules: APIMonitor['getRules'];
+    clearRules: APIMonitor['clearRules'];
+    updateConfig: APIMonitor['updateConfig'];
+    on: APIMonitor['on'];
+    once: APIMonitor['once'];
+    off: APIMonitor['off'];
+}
+
+interface Window {
+    APIMonitor: typeof APIMonitor;
+    /** 同名实例已存在时直接返回该实例，启动失败返回 null */
+    startAPIMonitor(config?: APIMonitorUserConfig): APIMonitor | null;
+    getAPIMonitor(name?: string): APIMonitor | null;
+    getAPIMonitors(): APIMonitor[];
+    /** 默认实例（没有默认实例时为第一个启动的实例） */
+    apiMonitor?: APIMonitor;
+    monitorAPI?: APIMonitorGlobalAPI;
+}
+
+declare function startAPIMonitor(config?: APIMonitorUserConfig): APIMonitor | null;
+declare function getAPIMonitor(name?: string): APIMonitor | null;
+declare function getAPIMonitors(): APIMonitor[];
@@ -8,9 +8,257 @@
     'use strict';
     
     // 默认配置
+    const MONITOR_VERSION = '2.0.0';
+    
+    let idSequence = 0;
+    
+    // 请求列表每行的固定高度（含间距），虚拟列表依赖固定行高计算可视范围
+    const LIST_ROW_HEIGHT = 58;
+    
+    const LIST_FILTER_OPTIONS = {
+        method: [['all', '全部方法'], ['GET', 'GET'], ['POST', 'POST'], ['PUT', 'PUT'], ['PATCH', 'PATCH'], ['DELETE', 'DELETE'], ['OPTIONS', 'OPTIONS'], ['HEAD', 'HEAD']],
+        statusClass: [['all', '全部状态码'], ['2xx', '2xx'], ['3xx', '3xx'], ['4xx', '4xx'], ['5xx', '5xx'], ['error', '无响应']],
+        type: [['all', '全部类型'], ['xhr', 'XHR'], ['fetch', 'Fetch'], ['jsonp', 'JSONP'], ['script', 'Script'], ['performance', 'Performance'], ['websocket', 'WebSocket'], ['eventsource', 'EventSource']],
+        state: [['all', '全部状态'], ['pending', '进行中'], ['streaming', '接收中'], ['open', '已连接'], ['completed', '已完成'], ['failed', '失败'], ['aborted', '已取消'], ['error', '所有错误（含业务失败）']],
+        timeRange: [['all', '全部时间'], [String(5 * 60 * 1000), '最近5分钟'], [String(15 * 60 * 1000), '最近15分钟'], [String(60 * 60 * 1000), '最近1小时'], [String(24 * 60 * 60 * 1000), '最近24小时']]
+    };
+    
+    // 返回 false 时中止后续流程的插件钩子
+    const PLUGIN_VETO_HOOKS = ['shouldCapture', 'beforeSave'];
+    
+    // 处理记录的插件钩子，只有返回普通对象时才替换当前值
+    const PLUGIN_RECORD_HOOKS = ['beforeBuild', 'transformRecord', 'beforeSave'];
+    
+    const STATS_TIMELINE_BUCKETS = 30;
+    
+    // 数据表标签页最多渲染的行数，导出不受限制
+    const TABLE_PREVIEW_ROWS = 500;
+    
+    // 数据表导出格式 -> 文件 MIME 类型
+    const TABLE_EXPORT_FORMATS = {
+        csv: 'text/csv',
+        jsonl: 'application/x-ndjson'
+    };
+    
+    // 面板标签页：渲染方法和所属元素（见 getUIId，元素 -> 显示时的 display）
+    const PANEL_TABS = {
+        requests: {
+            label: '请求列表',
+            render: 'renderRequestList',
+            elements: ['toolbar', 'content'],
+            display: { toolbar: 'flex', content: 'block' }
+        },
+        stats: {
+            label: '接口统计',
+            render: 'renderStatsPanel',
+            elements: ['stats'],
+            display: { stats: 'flex' }
+        },
+        tables: {
+            label: '数据表',
+            render: 'renderTablesPanel',
+            elements: ['tables'],
+            display: { tables: 'flex' }
+        }
+    };
+    
+    // 对比分区 -> 取值方法
+    const DIFF_SECTIONS = {
+        query: 'getDiffQuery',
+        request: 'getDiffBody',
+        response: 'getDiffBody',
+        requestHeaders: 'getDiffHeaders',
+        responseHeaders: 'getDiffHeaders'
+    };
+    
+    const DIFF_SECTION_LABELS = {
+        query: '请求参数',
+        request: '请求体',
+        response: '响应体',
+        requestHeaders: '请求头',
+        responseHeaders: '响应头'
+    };
+    
+    const DIFF_TYPE_STYLES = {
+        added: { label: '新增', color: '#2e7d32', background: '#e8f5e9' },
+        removed: { label: '删除', color: '#c62828', background: '#ffebee' },
+        changed: { label: '修改', color: '#ef6c00', background: '#fff3e0' }
+    };
+    
+    const SCHEMA_CHANGE_STYLES = {
+        added: { label: '新增字段', color: '#2e7d32', background: '#e8f5e9' },
+        removed: { label: '缺少字段', color: '#c62828', background: '#ffebee' },
+        typeChanged: { label: '类型变化', color: '#ef6c00', background: '#fff3e0' }
+    };
+    
+    const FRAME_DIRECTION_STYLES = {
+        sent: { label: '↑ 发送', color: '#2e7d32', background: '#e8f5e9' },
+        received: { label: '↓ 接收', color: '#1565c0', background: '#e3f2fd' }
+    };
+    
+    const CONNECTION_EVENT_LABELS = {
+        connecting: '开始连接',
+        open: '已连接',
+        error: '连接出错',
+        reconnecting: '连接中断，等待重连',
+        close: '连接关闭'
+    };
+    
+    // mtop 解码字段 -> 对应的查询参数名，用于按查询参数规则脱敏
+    const MTOP_QUERY_FIELDS = {
+        api: 'api',
+        v: 'v',
+        appKey: 'appKey',
+        t: 't',
+        sign: 'sign',
+        params: 'data'
+    };
+    
+    // 生成 OpenAPI 文档时使用的记录类型和方法
+    const OPENAPI_RECORD_TYPES = ['xhr', 'fetch', 'jsonp'];
+    const OPENAPI_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+    
+    // 代码片段格式 -> 生成方法
+    const SNIPPET_FORMATS = {
+        curl: 'toCurlSnippet',
+        fetch: 'toFetchSnippet',
+        node: 'toNodeSnippet',
+        python: 'toPythonSnippet'
+    };
+    
+    // 请求记录 -> 小写的全文搜索文本
+    const searchTextCache = new WeakMap();
+    
+    // Performance 资源条目的 initiatorType -> 可匹配的拦截记录类型
+    const RESOURCE_INITIATOR_TYPES = {
+        xmlhttprequest: ['xhr'],
+        fetch: ['fetch'],
+        script: ['script', 'jsonp']
+    };
+    
+    // JSONP 回调包装函数 -> 页面原始回调
+    const jsonpWrappers = new WeakMap();
+    
+    // 重放发出的 XHR 实例或 fetch init -> { monitor, id: 原记录ID, onSaved }
+    const replaySources = new WeakMap();
+    
+    // fetch(Request) 的请求体副本读取结果：Request -> Promise<{ payload, bodyType }>
+    const requestBodyReads = new WeakMap();
+    
+    // 保存记录时等待请求体读取完成的最长时间（毫秒）
+    const REQUEST_BODY_WAIT = 1000;
+    
+    // 已创建的监控器实例：name -> APIMonitor
+    const monitorInstances = new Map();
+    
+    // 每次页面加载生成新的导航ID，区分同一标签页刷新或跳转前后的记录
+    const NAVIGATION_ID = `nav_${Date.now().toString(36)}${Math.random().toString(36).substring(2, 8)}`;
+    
+    // 标签页ID保存在 sessionStorage 中，同一标签页刷新或跳转后保持不变
+    const TAB_ID = (() => {
+        const key = 'api_monitor_tab_id';
+        try {
+            let tabId = sessionStorage.getItem(key);
+            if (!tabId) {
+                tabId = `tab_${Date.now().toString(36)}${Math.random().toString(36).substring(2, 8)}`;
+                sessionStorage.setItem(key, tabId);
+            }
+            return tabId;
+        } catch (e) {
+            return `tab_${NAVIGATION_ID.substring(4)}`;
+        }
+    })();
+    
+    // 会话列表最多保留的会话数
+    const MAX_SESSIONS = 50;
+    
+    // 全局 XHR/fetch 钩子只安装一次，由所有运行中的实例共享
+    const sharedHooks = {
+        monitors: [], // 按启动顺序，先启动的实例更靠近原始实现
+        originals: {},
+        wrappers: {}
+    };
+    
+    // 长连接类型的记录，消息归入同一条记录的 frames
+    const CONNECTION_TYPES = ['websocket', 'eventsource'];
+    
+    // 包装构造函数：创建原始实例后交给各监控器安装拦截逻辑
+    function wrapConstructor(original, constants, instrument) {
+        const wrapper = function() {
+            const instance = new original(...arguments);
+            sharedHooks.monitors.forEach(monitor => instrument(monitor, instance));
+            return instance;
+        };
+        // 保留 instanceof 判断和 XMLHttpRequest.DONE 等常量
+        wrapper.prototype = original.prototype;
+        constants.forEach(name => {
+            wrapper[name] = original[name];
+        });
+        return wrapper;
+    }
+    
+    const SHARED_HOOK_FACTORIES = {
+        XMLHttpRequest: (original) => wrapConstructor(original, ['UNSENT', 'OPENED', 'HEADERS_RECEIVED', 'LOADING', 'DONE'],
+            (monitor, xhr) => monitor.instrumentXHR(xhr)),
+        fetch: (original) => function(input, init) {
+            const chain = sharedHooks.monitors.reduce((next, monitor) => monitor.wrapFetch(next), original);
+            return chain.apply(this, arguments);
+        },
+        WebSocket: (original) => wrapConstructor(original, ['CONNECTING', 'OPEN', 'CLOSING', 'CLOSED'],
+            (monitor, socket) => monitor.instrumentWebSocket(socket)),
+        EventSource: (original) => wrapConstructor(original, ['CONNECTING', 'OPEN', 'CLOSED'],
+            (monitor, source) => monitor.instrumentEventSource(source))
+    };
+    
+    function installSharedHooks() {
+        Object.entries(SHARED_HOOK_FACTORIES).forEach(([name, factory]) => {
+            if (sharedHooks.wrappers[name] || typeof window[name] !== 'function') return;
+            
+            sharedHooks.originals[name] = window[name];
+            sharedHooks.wrappers[name] = factory(window[name]);
+            window[name] = sharedHooks.wrappers[name];
+        });
+    }
+    
+    function uninstallSharedHooks() {
+        Object.keys(sharedHooks.wrappers).forEach(name => {
+            // 其他脚本在之后又包装了一层时不能直接还原，保留透传的包装，下次启动时继续使用
+            if (window[name] !== sharedHooks.wrappers[name]) return;
+            
+            window[name] = sharedHooks.originals[name];
+            delete sharedHooks.wrappers[name];
+            delete sharedHooks.originals[name];
+        });
+    }
+
+    
+    const REQUEST_STATE_LABELS = {
+        pending: '进行中',
+        streaming: '接收中',
+        open: '已连接',
+        completed: '已完成',
+        failed: '失败',
+        aborted: '已取消'
+    };
+    
+    // 上次页面关闭时仍未结束的记录，加载时改为已取消
+    const INTERRUPTED_STATE_MESSAGES = {
+        streaming: '页面已关闭，响应未接收完',
+        open: '页面已关闭，连接已断开'
+    };
+    
+    const DEFAULT_REDACTION_RULES = [
+        { type: 'header', name: ['cookie', 'set-cookie', 'authorization', 'proxy-authorization', 'x-csrf-token', 'x-xsrf-token'], action: 'mask' },
+        { type: 'query', name: ['sign', 'token', 'access_token'], action: 'mask' }
+    ];
+    
     const DEFAULT_CONFIG = {
-        targetPaths: [], // 空数组表示捕获所有请求
+        name: 'default', // 实例名称，同名实例只会创建一次
+        targetPaths: [], // 空数组表示捕获所有请求，匹配器写法见 shouldCaptureRequest
         allowedDomains: [], // 空数组表示允许所有域名
+        methods: [], // 允许的请求方法，空数组表示全部
+        include: [], // 额外的匹配器，任一匹配才捕获
+        exclude: [], // 任一匹配即不捕获
         maxStoredRequests: 100,
         captureFields: {
             request: {
@@ -30,23 +278,307 @@
                 domain: true,
                 path: true,
                 duration: true,
-                initiator: true
+                initiator: true,
+                page: true // 记录发起请求的标签页、导航ID和页面URL
             }
         },
         storageKey: 'api_monitor_requests',
+        storage: {
+            backend: 'auto', // 'auto' | 'indexedDB' | 'localStorage'，auto 优先使用 IndexedDB
+            maxSize: null, // 记录总大小上限（字节），null 使用后端默认值
+            maxAge: 0 // 记录最长保留时间（毫秒），0 表示不限
+        },
+        rules: [], // 请求模拟/改写规则，结构见 addRule
+        plugins: [], // 插件，按顺序注册，结构见 use
+        extractions: [], // 数据提取规则，结构见 normalizeExtraction
+        redaction: {
+            enabled: true,
+            rules: DEFAULT_REDACTION_RULES, // 脱敏规则，结构见 redactRecord
+            mask: '******',
+            salt: '' // hash 动作使用的盐值
+        },
+        jsonpCallbackParams: ['callback', 'jsonp', 'cb', 'jsonpcallback'], // 识别JSONP回调名的查询参数
+        schema: {
+            enabled: true, // 按接口学习响应结构，发现变化时触发 schemaDrift 事件
+            maxDrifts: 50 // 每个接口保留的结构变化条数
+        },
+        connections: {
+            enabled: true, // 拦截 WebSocket 和 EventSource，消息按连接归入同一条记录
+            maxFrames: 500, // 每个连接保留的最近消息条数
+            maxFrameSize: 64 * 1024, // 单条消息保留的最大字符数，超出部分截断
+            flushInterval: 500 // 消息写入存储的合并间隔（毫秒）
+        },
+        mtop: {
+            enabled: true // 解码 mtop 网关请求的 api、签名参数、data 和 ret，ret 不是 SUCCESS 时计为错误
+        },
+        streaming: {
+            enabled: true, // 逐块读取 fetch 响应体，记录数据块到达时间
+            saveDelay: 1000, // 响应体超过该时间（毫秒）仍未接收完时先保存记录，之后随接收进度更新；流式类型立即保存
+            maxBodySize: 1024 * 1024, // 保留的响应体最大字节数，超出部分截断
+            maxChunks: 1000, // 记录到达时间的数据块个数上限
+            binaryBody: 'describe', // 二进制响应体：'describe' 只记录类型和大小，'base64' 保存为 Base64
+            flushInterval: 500 // 接收进度写入存储的合并间隔（毫秒）
+        },
+        sink: {
+            enabled: false, // 批量上传已结束的记录到收集端，失败或离线时保留在队列中，页面刷新后继续上传
+            url: '', // 收集端地址，接收 POST 的 JSON，结构见 postSinkBatch
+            headers: {}, // 上传请求的额外请求头
+            transport: 'auto', // 'auto' | 'fetch' | 'gm'，auto 在可用时使用 GM_xmlhttpRequest 绕过 CSP/CORS
+            xmlhttpRequest: null, // 通过 <script> 加载时可传入油猴脚本中的 GM_xmlhttpRequest
+            batchSize: 20, // 攒够该条数立即上传
+            flushInterval: 5000, // 未攒够时最长等待时间（毫秒）
+            retryDelay: 1000, // 首次重试等待时间（毫秒），之后每次翻倍
+            maxRetryDelay: 60000, // 重试等待时间上限（毫秒）
+            maxQueueSize: 1000, // 队列最多保留的记录数，超出时丢弃最早的
+            timeout: 15000 // 单次上传超时（毫秒）
+        },
         enableUI: true,
         enableLog: true,
         autoStart: true
     };
     
+    // localStorage 存储后端：每次整体写入，容量约 5MB，作为 IndexedDB 不可用时的备用方案
+    class LocalStorageBackend {
+        constructor(key) {
+            this.name = 'localStorage';
+            this.key = key;
+            this.defaultMaxSize = 4 * 1024 * 1024;
+        }
+        
+        init() {
+            return Promise.resolve();
+        }
+        
+        loadAll() {
+            const stored = localStorage.getItem(this.key);
+            return Promise.resolve(stored ? JSON.parse(stored) : []);
+        }
+        
+        put(record, records) {
+            return this.write(records);
+        }
+        
+        remove(ids, records) {
+            return this.write(records);
+        }
+        
+        clear() {
+            localStorage.removeItem(this.key);
+            return Promise.resolve();
+        }
+        
+        write(records) {
+            try {
+                localStorage.setItem(this.key, JSON.stringify(records));
+                return Promise.resolve();
+            } catch (e) {
+                return Promise.reject(e);
+            }
+        }
+    }
+    
+    // IndexedDB 存储后端：按记录增量写入，启动时异步读回，不阻塞页面脚本
+    class IndexedDBBackend {
+        constructor(name) {
+            this.name = 'indexedDB';
+            this.dbName = name;
+            this.storeName = 'requests';
+            this.defaultMaxSize = 50 * 1024 * 1024;
+            this.db = null;
+        }
+        
+        init() {
+            return new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB 不可用'));
+                    return;
+                }
+                
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.storeName)) {
+                        db.createObjectStore(this.storeName, { keyPath: 'id' });
+                    }
+                };
+                request.onsuccess = () => {
+                    this.db = request.result;
+                    resolve();
+                };
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('IndexedDB 被其他连接阻塞'));
+            });
+        }
+        
+        transaction(mode, action) {
+            return new Promise((resolve, reject) => {
+                const tx = this.db.transaction(this.storeName, mode);
+                const request = action(tx.objectStore(this.storeName));
+                let result;
+                if (request) {
+                    request.onsuccess = () => {
+                        result = request.result;
+                    };
+                }
+                tx.oncomplete = () => resolve(result);
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error || new Error('IndexedDB 事务中止'));
+            });
+        }
+        
+        // 从最新的记录向前读取，最多读取 limit 条，更早的记录不再读取，直接删除
+        loadAll(limit = Infinity) {
+            const records = [];
+            return this.transaction('readwrite', store => {
+                const request = store.openCursor(null, 'prev');
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) return;
+                    
+                    if (records.length < limit) {
+                        records.push(cursor.value);
+                        cursor.continue();
+                    } else {
+                        store.delete(IDBKeyRange.upperBound(cursor.primaryKey));
+                    }
+                };
+            }).then(() => records.reverse()); // id 以时间戳开头，按主键顺序即为捕获顺序
+        }
+        
+        put(record) {
+            return this.transaction('readwrite', store => store.put(record));
+        }
+        
+        remove(ids) {
+            return this.transaction('readwrite', store => {
+                ids.forEach(id => store.delete(id));
+            });
+        }
+        
+        clear() {
+            return this.transaction('readwrite', store => store.clear());
+        }
+    }
+    
+    // 实例级事件分发，单个监听函数出错不影响其他监听
+    class EventEmitter {
+        constructor(onError) {
+            this.listeners = new Map();
+            this.onError = onError;
+        }
+        
+        on(eventName, callback, once = false) {
+            if (typeof callback !== 'function') {
+                throw new Error('事件监听必须是函数');
+            }
+            
+            if (!this.listeners.has(eventName)) {
+                this.listeners.set(eventName, []);
+            }
+            this.listeners.get(eventName).push({ callback, once });
+            return () => this.off(eventName, callback);
+        }
+        
+        once(eventName, callback) {
+            return this.on(eventName, callback, true);
+        }
+        
+        // 不传 callback 时移除该事件的全部监听
+        off(eventName, callback) {
+            const entries = this.listeners.get(eventName);
+            if (!entries) return false;
+            
+            const remaining = callback ? entries.filter(entry => entry.callback !== callback) : [];
+            if (remaining.length > 0) {
+                this.listeners.set(eventName, remaining);
+            } else {
+                this.listeners.delete(eventName);
+            }
+            return remaining.length !== entries.length;
+        }
+        
+        emit(eventName, data) {
+            const entries = this.listeners.get(eventName);
+            if (!entries) return;
+            
+            entries.slice().forEach(entry => {
+                if (entry.once) {
+                    this.off(eventName, entry.callback);
+                }
+                
+                try {
+                    entry.callback(data);
+                } catch (e) {
+                    this.onError(eventName, e);
+                }
+            });
+        }
+        
+        clear() {
+            this.listeners.clear();
+        }
+    }
+    
     class APIMonitor {
         constructor(config = {}) {
             this.config = this.mergeConfig(DEFAULT_CONFIG, config);
+            if (monitorInstances.has(this.config.name)) {
+                throw new Error(`监控器 ${this.config.name} 已存在，请使用其他 name 或先调用 destroy()`);
+            }
+            
+            // 非默认实例使用独立的存储，避免多个实例共用同一份数据
+            if (!config.storageKey && this.config.name !== DEFAULT_CONFIG.name) {
+                this.config.storageKey = `${DEFAULT_CONFIG.storageKey}_${this.config.name}`;
+            }
+            
             this.capturedRequests = [];
             this.isMonitoring = false;
+            this.destroyed = false;
             this.observers = [];
+            this.events = new EventEmitter((eventName, e) => this.log(`❌ ${eventName} 事件监听出错:`, e));
+            
+            this.config.rules = [];
+            (config.rules || []).forEach(rule => this.addRule(rule));
+            
+            this.plugins = [];
+            (config.plugins || []).forEach(plugin => this.use(plugin));
+            
+            this.config.extractions = (config.extractions || []).map((rule, index) => this.normalizeExtraction(rule, index));
+            
+            // 规则、插件和提取规则都校验通过后再注册，构造失败的实例不会占用名称
+            monitorInstances.set(this.config.name, this);
+            this.tables = this.loadTables();
+            // 上次保存后新增或更新的行（表名 -> 行key），保存时与其他标签页写入的行合并
+            this.tablesDirty = new Map();
+            this.activeTable = null;
             
-            this.loadFromStorage();
+            this.recordSizes = new Map();
+            // 脱敏前的请求（URL、请求头、请求体）只保存在内存中，供重放使用，不写入存储也不广播
+            this.unredactedRequests = new Map();
+            this.pendingRequests = new Map();
+            // 进行中的请求（已脱敏）-> 原始URL，用于匹配资源计时条目
+            this.pendingURLs = new WeakMap();
+            this.pendingTimings = new Map();
+            // 早于该时间（performance.now()）结束的资源条目不再处理
+            this.resourceEntriesFrom = 0;
+            this.listFilters = {
+                search: '',
+                method: 'all',
+                statusClass: 'all',
+                type: 'all',
+                state: 'all',
+                timeRange: 'all'
+            };
+            this.filteredRequests = [];
+            this.diffBaseId = null;
+            this.endpointSchemas = this.loadSchemas();
+            this.activeTab = 'requests';
+            this.statsTimeRange = 'all';
+            this.sessionState = this.loadSessions();
+            this.sessionView = 'active';
+            this.storageReady = this.loadFromStorage();
+            this.initSink();
+            this.initSync();
             this.init();
         }
         
@@ -54,6 +586,34 @@
             return {
                 ...defaultConfig,
                 ...userConfig,
+                storage: {
+                    ...defaultConfig.storage,
+                    ...userConfig.storage
+                },
+                redaction: {
+                    ...defaultConfig.redaction,
+                    ...userConfig.redaction
+                },
+                schema: {
+                    ...defaultConfig.schema,
+                    ...userConfig.schema
+                },
+                connections: {
+                    ...defaultConfig.connections,
+                    ...userConfig.connections
+                },
+                streaming: {
+                    ...defaultConfig.streaming,
+                    ...userConfig.streaming
+                },
+                mtop: {
+                    ...defaultConfig.mtop,
+                    ...userConfig.mtop
+                },
+                sink: {
+                    ...defaultConfig.sink,
+                    ...userConfig.sink
+                },
                 captureFields: {
                     ...defaultConfig.captureFields,
                     ...userConfig.captureFields,
@@ -88,6 +648,11 @@
         }
         
         start() {
+            if (this.destroyed) {
+                this.log('⚠️ 监控器已销毁，无法启动');
+                return;
+            }
+            
             if (this.isMonitoring) {
                 this.log('⚠️ 监控器已在运行中');
                 return;
@@ -95,13 +660,30 @@
             
             this.log('🚀 开始启动监控器...');
             
-            this.interceptXHR();
-            this.interceptFetch();
+            if (!sharedHooks.monitors.includes(this)) {
+                sharedHooks.monitors.push(this);
+            }
+            installSharedHooks();
+            this.log('🔧 已接入XHR/Fetch/WebSocket/EventSource拦截');
+            
+            // stop() 后再次 start() 时 buffered 会重新派发之前的条目，只处理重新启动后结束的请求
+            if (this.startedAt && typeof performance !== 'undefined') {
+                this.resourceEntriesFrom = performance.now();
+            }
             this.setupPerformanceObserver();
             this.interceptScriptTags();
             
+            this.startedAt = Date.now();
             this.isMonitoring = true;
             this.log('✅ 监控器已启动');
+            
+            // autoStart 时 start() 在构造函数中执行，延后到微任务中触发，构造后注册的监听也能收到
+            const startedAt = this.startedAt;
+            Promise.resolve().then(() => {
+                if (this.isMonitoring && this.startedAt === startedAt) {
+                    this.triggerEvent('monitorStarted', { name: this.config.name, startedAt: startedAt });
+                }
+            });
         }
         
         stop() {
@@ -117,383 +699,4408 @@
             });
             this.observers = [];
             
+            // 最后一个实例停止时还原原始的 XHR/fetch/WebSocket/EventSource
+            sharedHooks.monitors = sharedHooks.monitors.filter(monitor => monitor !== this);
+            if (sharedHooks.monitors.length === 0) {
+                uninstallSharedHooks();
+            }
+            
             this.isMonitoring = false;
             this.log('⏹️ 监控器已停止');
+            this.triggerEvent('monitorStopped', { name: this.config.name, stoppedAt: Date.now() });
+        }
+        
+        // 停止监控并移除UI、事件监听和实例注册，销毁后的实例不能再启动
+        destroy() {
+            if (this.destroyed) return;
+            
+            if (this.isMonitoring) {
+                this.stop();
+            }
+            
+            clearTimeout(this.listRenderTimer);
+            this.listRenderTimer = null;
+            this.destroySink();
+            this.destroySync();
+            this.removeUI();
+            this.events.clear();
+            
+            if (monitorInstances.get(this.config.name) === this) {
+                monitorInstances.delete(this.config.name);
+            }
+            if (window.apiMonitor === this) {
+                delete window.apiMonitor;
+                delete window.monitorAPI;
+            }
+            
+            this.destroyed = true;
+            this.log('🗑️ 监控器已销毁');
         }
         
-        interceptXHR() {
-            const origXHR = window.XMLHttpRequest;
+        // 为单个 XHR 实例安装当前监控器的拦截逻辑，多个监控器按启动顺序逐层包装
+        instrumentXHR(xhr) {
             const self = this;
+            // 响应改写规则按监控器分别记录，避免多个实例重复改写
+            let responseRule = null;
+            const origOpen = xhr.open;
+            const origSend = xhr.send;
+            const origSetRequestHeader = xhr.setRequestHeader;
+            
+            // 必须在页面注册回调之前监听，才能保证响应改写先于页面读取
+            xhr.addEventListener('readystatechange', () => {
+                if (xhr.readyState === 4 && responseRule) {
+                    try {
+                        self.applyXHRResponseRule(xhr, responseRule);
+                    } catch (e) {
+                        self.log('❌ 改写XHR响应出错:', e);
+                    }
+                }
+            });
             
-            self.log('🔧 开始拦截XHR请求');
+            xhr.open = function(method, url) {
+                xhr._url = url === undefined || url === null ? url : String(url);
+                xhr._method = String(method).toUpperCase();
+                xhr._startTime = Date.now();
+                xhr._openArgs = Array.from(arguments);
+                xhr._requestHeaders = {};
+                responseRule = null;
+                return origOpen.apply(this, arguments);
+            };
+            
+            xhr.setRequestHeader = function(name, value) {
+                if (xhr._requestHeaders) {
+                    // 同名请求头多次设置时按规范以逗号合并
+                    xhr._requestHeaders[name] = xhr._requestHeaders[name] !== undefined
+                        ? `${xhr._requestHeaders[name]}, ${value}`
+                        : String(value);
+                }
+                return origSetRequestHeader.apply(this, arguments);
+            };
             
-            window.XMLHttpRequest = function() {
-                const xhr = new origXHR();
-                const origOpen = xhr.open;
-                const origSend = xhr.send;
+            xhr.send = function(body) {
+                const rule = typeof xhr._url === 'string' ? self.findMatchingRule({
+                    method: xhr._method,
+                    url: xhr._url,
+                    body: body
+                }) : null;
                 
-                xhr.open = function(method, url) {
-                    xhr._url = url;
-                    xhr._method = method;
-                    xhr._startTime = Date.now();
-                    return origOpen.apply(this, arguments);
-                };
+                if (rule && rule.rewriteRequest && !rule.mockResponse) {
+                    const rewritten = self.rewriteRequestByRule(rule, {
+                        method: xhr._method,
+                        url: xhr._url,
+                        headers: xhr._requestHeaders,
+                        body: body
+                    });
+                    
+                    // 重新open以应用新的URL和请求头，open会清空已设置的请求头
+                    const openArgs = xhr._openArgs.slice();
+                    openArgs[0] = rewritten.method;
+                    openArgs[1] = rewritten.url;
+                    origOpen.apply(xhr, openArgs);
+                    Object.entries(rewritten.headers).forEach(([name, value]) => {
+                        origSetRequestHeader.call(xhr, name, value);
+                    });
+                    
+                    xhr._method = rewritten.method;
+                    xhr._url = rewritten.url;
+                    xhr._requestHeaders = rewritten.headers;
+                    body = rewritten.body;
+                    self.log(`✏️ 规则改写XHR请求: ${xhr._method} ${xhr._url}`);
+                }
+                
+                if (rule && rule.rewriteResponse && !rule.mockResponse) {
+                    responseRule = rule;
+                }
                 
-                xhr.send = function(body) {
-                    if (xhr._url && typeof xhr._url === 'string') {
-                        const shouldCapture = self.shouldCaptureRequest(xhr._url);
+                if (xhr._url && typeof xhr._url === 'string') {
+                    const replay = self.getOwnReplay(xhr);
+                    // 重放的请求总是记录，不受过滤条件影响
+                    const shouldCapture = !!replay || self.shouldCaptureRequest(xhr._url, {
+                        method: xhr._method,
+                        headers: xhr._requestHeaders,
+                        body: body
+                    });
+                    
+                    if (shouldCapture) {
+                        self.log(`📡 监控XHR请求: ${xhr._method} ${xhr._url}`);
+                        xhr._body = body;
+                        const serializedBody = self.serializeBody(body);
+                        
+                        const requestId = self.trackPendingRequest('xhr', xhr._method, xhr._url);
+                        let finished = false;
                         
-                        if (shouldCapture) {
-                            self.log(`📡 监控XHR请求: ${xhr._method} ${xhr._url}`);
-                            xhr._body = body;
+                        const finish = (state, error) => {
+                            if (finished) return;
+                            finished = true;
+                            self.pendingRequests.delete(requestId);
                             
-                            xhr.addEventListener('load', () => {
-                                try {
-                                    const duration = Date.now() - xhr._startTime;
-                                    const requestData = self.buildRequestData('xhr', {
-                                        method: xhr._method,
-                                        url: xhr._url,
-                                        body: xhr._body,
-                                        status: xhr.status,
-                                        responseText: xhr.responseText,
-                                        responseHeaders: xhr.getAllResponseHeaders(),
-                                        duration: duration
-                                    });
-                                    
-                                    self.saveRequest(requestData);
-                                } catch (e) {
-                                    self.log('❌ 处理XHR响应出错:', e);
-                                }
+                            const response = {
+                                duration: Date.now() - xhr._startTime,
+                                status: xhr.status,
+                                responseText: state === 'completed' ? self.readXHRResponse(xhr).text : '',
+                                responseHeaders: xhr.getAllResponseHeaders()
+                            };
+                            
+                            Promise.resolve(serializedBody).then(payload => {
+                                const requestData = self.buildRequestData('xhr', {
+                                    id: requestId,
+                                    method: xhr._method,
+                                    url: xhr._url,
+                                    body: payload,
+                                    bodyType: self.getBodyType(xhr._body),
+                                    headers: { ...xhr._requestHeaders },
+                                    rule: rule,
+                                    state: state,
+                                    error: error,
+                                    replayOf: replay && replay.id,
+                                    ...response
+                                });
+                                
+                                const saved = self.saveRequest(requestData);
+                                if (replay) replay.onSaved(saved);
+                            }).catch(e => {
+                                self.log('❌ 处理XHR响应出错:', e);
+                                if (replay) replay.onError(e);
                             });
-                        }
+                        };
+                        
+                        xhr.addEventListener('load', () => finish('completed'));
+                        xhr.addEventListener('error', () => finish('failed', { type: 'network', message: '网络错误' }));
+                        xhr.addEventListener('abort', () => finish('aborted', { type: 'abort', message: '请求已取消' }));
+                        xhr.addEventListener('timeout', () => finish('failed', { type: 'timeout', message: `请求超时 (${xhr.timeout}ms)` }));
                     }
-                    
-                    return origSend.apply(this, arguments);
-                };
+                }
+                
+                if (rule && rule.mockResponse) {
+                    self.log(`🎭 规则模拟XHR响应: ${xhr._method} ${xhr._url}`);
+                    self.respondXHRWithMock(xhr, rule, body);
+                    return;
+                }
                 
-                return xhr;
+                return origSend.call(this, body);
             };
         }
         
-        interceptFetch() {
-            const origFetch = window.fetch;
+        // 返回在 next 外包装了当前监控器拦截逻辑的 fetch
+        wrapFetch(next) {
             const self = this;
             
-            self.log('🔧 开始拦截Fetch请求');
-            
-            window.fetch = function(input, init) {
-                const url = typeof input === 'string' ? input : input?.url;
-                const method = init?.method || 'GET';
-                const body = init?.body;
+            return function(input, init) {
+                const context = this;
+                const originalArgs = arguments;
+                const request = self.normalizeFetchRequest(input, init);
                 
-                if (url && typeof url === 'string') {
-                    const shouldCapture = self.shouldCaptureRequest(url);
+                const dispatch = (requestBody) => {
+                    let { url, method, headers } = request;
+                    let body = requestBody;
+                    let args = originalArgs;
+                    // Request 对象的请求体尚未读取时，规则和过滤条件按未知请求体匹配
+                    const bodyPending = request.bodyPending && requestBody === undefined;
                     
-                    if (shouldCapture) {
+                    const rule = url ? self.findMatchingRule({ method, url, body }) : null;
+                    
+                    if (rule && rule.rewriteRequest && !rule.mockResponse) {
+                        const rewritten = self.rewriteRequestByRule(rule, { method, url, headers, body });
+                        ({ method, url, headers, body } = rewritten);
+                        args = self.buildFetchArgs(input, init, rewritten);
+                        // 改写后的 init 是新对象，继续关联到发起重放的监控器
+                        if (init && typeof init === 'object' && replaySources.has(init)) {
+                            replaySources.set(args[1], replaySources.get(init));
+                        }
+                        self.log(`✏️ 规则改写Fetch请求: ${method} ${url}`);
+                    }
+                    
+                    const replay = init && typeof init === 'object' ? self.getOwnReplay(init) : undefined;
+                    const capture = !!url && (replay || self.shouldCaptureRequest(url, bodyPending ? { method, headers } : { method, headers, body }));
+                    
+                    // 只为捕获的请求读取请求体，必须在发出请求之前复制
+                    const bodyRead = capture && bodyPending ? self.readFetchRequestBody(input) : null;
+                    
+                    let responsePromise;
+                    if (rule && rule.mockResponse) {
+                        self.log(`🎭 规则模拟Fetch响应: ${method} ${url}`);
+                        responsePromise = self.createMockFetchResponse(rule, { method, url, headers, body });
+                    } else {
+                        responsePromise = next.apply(context, args);
+                        if (rule && rule.rewriteResponse) {
+                            responsePromise = responsePromise.then(response => self.rewriteFetchResponse(rule, response, { method, url }));
+                        }
+                    }
+                    
+                    if (capture) {
                         self.log(`📡 监控Fetch请求: ${method} ${url}`);
                         const startTime = Date.now();
+                        const requestId = self.trackPendingRequest('fetch', method, url);
+                        const serializedBody = bodyRead || Promise.resolve(self.serializeBody(body))
+                            .then(payload => ({ payload, bodyType: self.getBodyType(body) }));
                         
-                        return origFetch.apply(this, arguments)
-                            .then(response => {
-                                const duration = Date.now() - startTime;
-                                const clonedResponse = response.clone();
-                                
-                                clonedResponse.text().then(responseText => {
-                                    try {
-                                        const requestData = self.buildRequestData('fetch', {
-                                            method: method,
-                                            url: url,
-                                            body: body,
-                                            headers: init?.headers,
-                                            status: response.status,
-                                            responseText: responseText,
-                                            responseHeaders: self.parseHeaders(response.headers),
-                                            duration: duration
-                                        });
-                                        
-                                        self.saveRequest(requestData);
-                                    } catch (e) {
-                                        self.log('❌ 处理Fetch响应出错:', e);
-                                    }
+                        const saveFetchRecord = (result) => {
+                            const duration = Date.now() - startTime;
+                            self.pendingRequests.delete(requestId);
+                            
+                            return self.waitForRequestBody(serializedBody).then(({ payload, bodyType }) => {
+                                const requestData = self.buildRequestData('fetch', {
+                                    id: requestId,
+                                    method: method,
+                                    url: url,
+                                    body: payload,
+                                    bodyType: bodyType,
+                                    headers: headers,
+                                    duration: duration,
+                                    rule: rule,
+                                    replayOf: replay && replay.id,
+                                    ...result
                                 });
                                 
+                                const saved = self.saveRequest(requestData);
+                                // 仍在接收的记录等响应体读完后再交给重放
+                                if (!saved || saved.state !== 'streaming') settle(saved);
+                                return saved;
+                            }).catch(e => {
+                                self.log('❌ 处理Fetch响应出错:', e);
+                                if (replay) replay.onError(e);
+                                return null;
+                            });
+                        };
+                        const settle = (record) => {
+                            if (replay) replay.onSaved(record);
+                        };
+                        
+                        return responsePromise
+                            .then(response => {
+                                self.captureFetchResponse(response, requestId, startTime, saveFetchRecord, settle);
                                 return response;
+                            }, error => {
+                                saveFetchRecord({
+                                    status: 0,
+                                    ...self.describeRequestError(error)
+                                });
+                                throw error;
                             });
                     }
+                    
+                    return responsePromise;
+                };
+                
+                // 改写规则需要完整的请求体，只有命中改写规则的 Request 对象才等待读取后再发出
+                if (request.bodyPending) {
+                    const rule = request.url ? self.findMatchingRule({ method: request.method, url: request.url, body: undefined }) : null;
+                    if (rule && rule.rewriteRequest && !rule.mockResponse) {
+                        return input.clone().text()
+                            .then(text => text === '' ? undefined : text, () => undefined)
+                            .then(dispatch);
+                    }
                 }
                 
-                return origFetch.apply(this, arguments);
+                return dispatch(request.body);
             };
         }
         
-        interceptScriptTags() {
+        // 为单个 WebSocket 实例安装当前监控器的拦截逻辑，发送和收到的消息都归入同一条连接记录
+        instrumentWebSocket(socket) {
             const self = this;
-            self.log('🔧 开始拦截Script标签');
+            const connection = this.trackConnection('websocket', socket.url);
+            if (!connection) return;
             
-            // 监听DOM变化，检测动态添加的script标签
-            const observer = new MutationObserver((mutations) => {
-                mutations.forEach((mutation) => {
-                    mutation.addedNodes.forEach((node) => {
-                        if (node.nodeType === Node.ELEMENT_NODE && node.tagName === 'SCRIPT') {
-                            const src = node.src;
-                            if (src) {
-                                const shouldCapture = self.shouldCaptureRequest(src);
-                                
-                                if (shouldCapture) {
-                                    self.log(`📡 监控Script标签请求: ${src}`);
-                                    const startTime = Date.now();
-                                    
-                                    node.addEventListener('load', () => {
-                                        const duration = Date.now() - startTime;
-                                        const requestData = self.buildRequestData('script', {
-                                            method: 'GET',
-                                            url: src,
-                                            status: 200,
-                                            duration: duration
-                                        });
-                                        self.saveRequest(requestData);
-                                    });
-                                }
-                            }
-                        }
-                    });
-                });
-            });
+            const origSend = socket.send;
+            socket.send = function(data) {
+                // 未连接时 send 会抛错，成功发出后再记录
+                const result = origSend.apply(this, arguments);
+                self.recordFrame(connection, 'sent', data);
+                return result;
+            };
             
-            observer.observe(document, {
-                childList: true,
-                subtree: true
+            socket.addEventListener('open', () => {
+                this.openConnection(connection, 101, { protocol: socket.protocol, extensions: socket.extensions });
+            });
+            socket.addEventListener('message', event => this.recordFrame(connection, 'received', event.data));
+            socket.addEventListener('error', () => this.addConnectionEvent(connection, { type: 'error' }));
+            socket.addEventListener('close', event => {
+                this.closeConnection(connection, event.wasClean ? 'completed' : 'failed', { code: event.code, reason: event.reason });
             });
-            
-            this.observers.push(observer);
         }
         
-        setupPerformanceObserver() {
-            try {
-                if (typeof PerformanceObserver !== 'undefined') {
-                    const self = this;
-                    const observer = new PerformanceObserver((list) => {
-                        list.getEntries().forEach(entry => {
-                            if (entry.initiatorType === 'xmlhttprequest' || entry.initiatorType === 'fetch' || entry.initiatorType === 'script') {
-                                const url = entry.name;
-                                const shouldCapture = self.shouldCaptureRequest(url);
-                                
-                                if (shouldCapture) {
-                                    self.log(`📊 Performance API检测到请求: ${url}`);
-                                    
-                                    // 基于Performance API捕获请求
-                                    const requestData = self.buildRequestData('performance', {
-                                        method: 'GET',
-                                        url: url,
-                                        status: 200,
-                                        duration: entry.duration,
-                                        initiator: entry.initiatorType
-                                    });
-                                    
-                                    self.saveRequest(requestData);
-                                }
-                            }
-                        });
-                    });
-                    
-                    observer.observe({entryTypes: ['resource']});
-                    this.observers.push(observer);
-                    this.log('✅ Performance Observer已设置');
+        instrumentEventSource(source) {
+            const self = this;
+            const connection = this.trackConnection('eventsource', source.url);
+            if (!connection) return;
+            
+            const origAddEventListener = source.addEventListener;
+            const recordEvent = event => this.recordFrame(connection, 'received', event.data, {
+                event: event.type,
+                lastEventId: event.lastEventId || undefined
+            });
+            
+            // 自定义事件只会派发给同名监听器，页面监听新的事件名时一并记录
+            const observedEvents = new Set(['open', 'message', 'error']);
+            source.addEventListener = function(type) {
+                if (!observedEvents.has(type)) {
+                    observedEvents.add(type);
+                    origAddEventListener.call(this, type, recordEvent);
                 }
-            } catch (e) {
-                this.log('❌ 设置Performance Observer失败:', e);
-            }
+                return origAddEventListener.apply(this, arguments);
+            };
+            
+            // 页面主动关闭时不会派发任何事件
+            const origClose = source.close;
+            source.close = function() {
+                const result = origClose.apply(this, arguments);
+                self.closeConnection(connection, 'completed', { reason: 'close()' });
+                return result;
+            };
+            
+            origAddEventListener.call(source, 'open', () => this.openConnection(connection, 200));
+            origAddEventListener.call(source, 'message', recordEvent);
+            origAddEventListener.call(source, 'error', () => {
+                // readyState 为 CLOSED(2) 时不再重连，否则浏览器会自动重连
+                if (source.readyState === 2) {
+                    this.closeConnection(connection, 'failed', {});
+                } else {
+                    this.addConnectionEvent(connection, { type: 'reconnecting' });
+                }
+            });
         }
         
-        shouldCaptureRequest(url) {
-            // 如果没有设置目标路径，捕获所有请求
-            if (this.config.targetPaths.length === 0) {
-                return true;
+        // 连接建立前作为进行中的请求显示，建立后保存为 state 为 open 的记录
+        trackConnection(type, url) {
+            url = String(url);
+            if (!this.config.connections.enabled || !this.shouldCaptureRequest(url, { method: 'GET' })) {
+                return null;
             }
             
-            // 检查URL是否包含目标路径
-            const hasTargetPath = this.config.targetPaths.some(path => url.includes(path));
-            
-            // 如果没有设置允许域名，只检查路径
-            if (this.config.allowedDomains.length === 0) {
-                return hasTargetPath;
-            }
+            this.log(`📡 监控${type === 'websocket' ? 'WebSocket' : 'EventSource'}连接: ${url}`);
+            const startTime = Date.now();
             
-            // 检查域名和路径
-            const urlInfo = this.parseURL(url);
-            const hasAllowedDomain = this.config.allowedDomains.some(domain => urlInfo.domain.includes(domain));
+            return {
+                id: this.trackPendingRequest(type, 'GET', url),
+                type: type,
+                url: url,
+                startTime: startTime,
+                status: undefined,
+                info: {},
+                frames: [],
+                frameCount: 0,
+                droppedFrames: 0,
+                bytesSent: 0,
+                bytesReceived: 0,
+                lifecycle: [{ type: 'connecting', time: startTime }],
+                saved: false,
+                ignored: false, // 被插件拦截或记录已被清空，不再跟踪
+                closed: false,
+                flushTimer: null
+            };
+        }
+        
+        openConnection(connection, status, info = {}) {
+            this.addConnectionEvent(connection, { type: 'open' });
+            // EventSource 重连成功时只记录生命周期
+            if (connection.saved || connection.ignored || connection.closed) return;
             
-            return hasTargetPath && hasAllowedDomain;
+            connection.status = status;
+            Object.assign(connection.info, info);
+            this.pendingRequests.delete(connection.id);
+            this.saveConnection(connection, { state: 'open' });
         }
         
-        buildRequestData(type, data) {
-            const requestData = {
-                id: this.generateId(),
-                type: type
-            };
+        closeConnection(connection, state, details = {}) {
+            if (connection.closed) return;
+            connection.closed = true;
+            clearTimeout(connection.flushTimer);
+            connection.flushTimer = null;
+            connection.lifecycle.push({ type: 'close', time: Date.now(), ...details });
+            this.pendingRequests.delete(connection.id);
             
-            const urlInfo = this.parseURL(data.url);
+            if (connection.ignored || this.destroyed) return;
             
-            if (this.config.captureFields.request.method) {
-                requestData.method = data.method;
+            const changes = {
+                state: state,
+                duration: Date.now() - connection.startTime
+            };
+            if (state === 'failed') {
+                const message = connection.saved ? '连接异常断开' : '连接失败';
+                changes.error = { type: 'network', message: details.code ? `${message} (code ${details.code})` : message };
             }
             
-            if (this.config.captureFields.request.url) {
-                requestData.url = data.url;
+            if (!connection.saved) {
+                this.saveConnection(connection, changes);
+                return;
             }
             
-            if (this.config.captureFields.request.payload) {
-                requestData.request = this.parseData(data.body);
+            const record = this.flushConnection(connection, changes);
+            if (record) {
+                this.notifyRequestSettled(record);
             }
+        }
+        
+        saveConnection(connection, changes) {
+            const requestData = this.buildRequestData(connection.type, {
+                id: connection.id,
+                method: 'GET',
+                url: connection.url,
+                status: connection.status,
+                duration: Date.now() - connection.startTime,
+                connection: this.getConnectionFields(connection),
+                ...changes
+            });
             
-            if (this.config.captureFields.request.headers && data.headers) {
-                requestData.requestHeaders = data.headers;
-            }
+            const saved = this.saveRequest(requestData);
+            connection.saved = !!saved;
+            connection.ignored = !saved;
+            return saved;
+        }
+        
+        getConnectionFields(connection) {
+            return {
+                ...connection.info,
+                frames: connection.frames.slice(),
+                frameCount: connection.frameCount,
+                droppedFrames: connection.droppedFrames,
+                bytesSent: connection.bytesSent,
+                bytesReceived: connection.bytesReceived,
+                lifecycle: connection.lifecycle.slice()
+            };
+        }
+        
+        addConnectionEvent(connection, event) {
+            if (connection.closed) return;
+            connection.lifecycle.push({ time: Date.now(), ...event });
+            this.scheduleConnectionFlush(connection);
+        }
+        
+        recordFrame(connection, direction, data, extra = {}) {
+            if (connection.ignored || connection.closed || this.destroyed) return;
             
-            if (this.config.captureFields.response.status) {
-                requestData.status = data.status;
-            }
+            const captured = direction === 'sent'
+                ? this.config.captureFields.request.payload
+                : this.config.captureFields.response.body;
+            const frame = {
+                direction: direction,
+                time: Date.now(),
+                ...this.describeFrame(data, captured),
+                ...extra
+            };
             
-            if (this.config.captureFields.response.body) {
-                requestData.response = this.parseData(data.responseText);
+            connection.frameCount++;
+            connection[direction === 'sent' ? 'bytesSent' : 'bytesReceived'] += frame.size;
+            connection.frames.push(frame);
+            // 只保留最近的消息
+            if (connection.frames.length > this.config.connections.maxFrames) {
+                connection.frames.shift();
+                connection.droppedFrames++;
             }
             
-            if (this.config.captureFields.response.headers && data.responseHeaders) {
-                requestData.responseHeaders = data.responseHeaders;
-            }
+            this.scheduleConnectionFlush(connection);
+        }
+        
+        // 消息转换为 { opcode, size, data }，文本超过 maxFrameSize 时截断，JSON 文本解析为对象
+        describeFrame(data, captured = true) {
+            const bodyType = this.getBodyType(data);
+            let frame;
+            let text;
             
-            if (this.config.captureFields.metadata.timestamp) {
-                requestData.timestamp = new Date().toISOString();
+            if (bodyType === 'blob') {
+                frame = { opcode: 'binary', size: data.size };
+                text = this.describeBlob(data);
+            } else if (bodyType === 'arraybuffer') {
+                frame = { opcode: 'binary', size: data.byteLength };
+                text = this.decodeBinary(data);
+            } else {
+                text = data === undefined || data === null ? '' : String(data);
+                frame = { opcode: 'text', size: this.getByteLength(text) };
             }
             
-            if (this.config.captureFields.metadata.domain) {
-                requestData.domain = urlInfo.domain;
-            }
+            if (!captured) return frame;
             
-            if (this.config.captureFields.metadata.path) {
-                requestData.path = urlInfo.path;
+            const maxFrameSize = this.config.connections.maxFrameSize;
+            if (maxFrameSize && text.length > maxFrameSize) {
+                frame.data = text.slice(0, maxFrameSize);
+                frame.truncated = true;
+            } else {
+                frame.data = this.parseData(text);
             }
+            return frame;
+        }
+        
+        // 消息频繁时合并写入，避免每条消息都整体写一次存储
+        scheduleConnectionFlush(connection) {
+            if (!connection.saved || connection.closed || connection.flushTimer) return;
             
-            if (this.config.captureFields.metadata.duration) {
-                requestData.duration = data.duration;
-            }
+            connection.flushTimer = setTimeout(() => {
+                connection.flushTimer = null;
+                this.flushConnection(connection);
+            }, this.config.connections.flushInterval);
+        }
+        
+        flushConnection(connection, changes = {}) {
+            if (connection.ignored || this.destroyed) return null;
             
-            if (this.config.captureFields.metadata.initiator) {
-                requestData.initiator = type;
+            const record = this.updateRequest(connection.id, { ...this.getConnectionFields(connection), ...changes });
+            if (!record) {
+                connection.ignored = true;
             }
-            
-            return requestData;
+            return record;
         }
         
-        parseURL(url) {
-            let domain = '';
-            let path = '';
+        // 响应头到达后逐块读取响应体副本，超过 saveDelay 仍未接收完（或为流式类型）时先保存记录，之后随接收进度更新
+        // onSettled 在先保存后更新的记录接收完成时调用
+        captureFetchResponse(response, id, startTime, save, onSettled = () => {}) {
+            const options = this.config.streaming;
+            const status = response.status;
+            const responseHeaders = this.parseHeaders(response.headers);
+            const clonedResponse = response.clone();
             
-            try {
-                if (url.startsWith('http')) {
-                    const urlObj = new URL(url);
-                    domain = urlObj.hostname;
-                    path = urlObj.pathname;
-                } else {
-                    domain = window.location.hostname;
+            if (!options.enabled || !clonedResponse.body || typeof clonedResponse.body.getReader !== 'function') {
+                clonedResponse.text().then(responseText => {
+                    save({ status, responseText, responseHeaders, state: 'completed' });
+                }, error => {
+                    // 响应头已到达，但读取响应体时被取消或中断
+                    save({ status, responseHeaders, ...this.describeRequestError(error) });
+                });
+                return;
+            }
+            
+            let saved = null;
+            let flushTimer = null;
+            const body = this.createResponseBody(response.headers.get('content-type'));
+            
+            const getChanges = () => {
+                const { responseText, stream } = this.snapshotResponseBody(body);
+                const changes = { ...stream, duration: Date.now() - startTime };
+                if (this.config.captureFields.response.body) {
+                    changes.response = this.parseData(responseText);
+                }
+                return changes;
+            };
+            
+            const flush = () => {
+                flushTimer = null;
+                saved.then(record => record && this.updateRequest(id, getChanges()));
+            };
+            
+            const saveTimer = setTimeout(() => {
+                saved = save({ status, responseHeaders, state: 'streaming', ...this.snapshotResponseBody(body) });
+            }, this.isStreamingContentType(body.contentType) ? 0 : options.saveDelay);
+            
+            const finish = (result) => {
+                clearTimeout(saveTimer);
+                clearTimeout(flushTimer);
+                
+                if (!saved) {
+                    save({ status, responseHeaders, ...this.snapshotResponseBody(body), ...result });
+                    return;
+                }
+                
+                saved.then(record => {
+                    if (!record) return;
                     
-                    if (url.startsWith('/')) {
-                        path = url;
-                    } else {
-                        const currentPath = window.location.pathname;
-                        const basePath = currentPath.substring(0, currentPath.lastIndexOf('/') + 1);
-                        path = basePath + url;
+                    const updated = this.updateRequest(id, { ...getChanges(), ...result });
+                    if (updated) {
+                        this.notifyRequestSettled(updated);
                     }
+                    onSettled(updated || record);
+                });
+            };
+            
+            this.readResponseBody(clonedResponse.body.getReader(), body, () => {
+                if (saved && !flushTimer) {
+                    flushTimer = setTimeout(flush, options.flushInterval);
                 }
+            }).then(() => finish({ state: 'completed' }), error => finish(this.describeRequestError(error)));
+        }
+        
+        isStreamingContentType(contentType) {
+            return /event-stream|ndjson|jsonl|json-seq|stream\+json|x-mixed-replace/i.test(contentType || '');
+        }
+        
+        // 响应体读取状态，binary 为 null 表示没有 Content-Type，收到第一块数据后再判断
+        createResponseBody(contentType) {
+            contentType = contentType || '';
+            const charset = (contentType.match(/charset=["']?([\w-]+)/i) || [])[1] || 'utf-8';
+            let decoder;
+            try {
+                decoder = new TextDecoder(charset);
             } catch (e) {
-                domain = window.location.hostname || 'unknown';
-                path = url;
+                decoder = new TextDecoder('utf-8');
             }
             
-            return { domain, path };
+            return {
+                contentType: contentType,
+                binary: contentType ? !this.isTextMimeType(contentType) : null,
+                decoder: decoder,
+                text: '',
+                bytes: [],
+                captured: 0,
+                size: 0,
+                chunks: [],
+                chunkCount: 0,
+                truncated: false
+            };
         }
         
-        parseData(data) {
-            if (!data) return null;
+        // 逐块读取并记录到达时间，超过 maxBodySize 的部分只计数不保留
+        readResponseBody(reader, body, onChunk) {
+            const options = this.config.streaming;
+            const maxBodySize = options.maxBodySize || Infinity;
             
-            try {
-                if (typeof data === 'string') {
-                    return JSON.parse(data);
+            const read = () => reader.read().then(({ done, value }) => {
+                if (done) {
+                    if (!body.binary) {
+                        body.text += body.decoder.decode();
+                    }
+                    return body;
                 }
-                return data;
+                
+                const chunk = value instanceof Uint8Array ? value : new Uint8Array(value);
+                body.size += chunk.byteLength;
+                body.chunkCount++;
+                if (body.chunks.length < options.maxChunks) {
+                    body.chunks.push({ time: Date.now(), size: chunk.byteLength });
+                }
+                if (body.binary === null) {
+                    body.binary = this.isBinaryChunk(chunk);
+                }
+                
+                const remaining = maxBodySize - body.captured;
+                const kept = chunk.byteLength > remaining ? chunk.subarray(0, Math.max(0, remaining)) : chunk;
+                if (kept !== chunk) {
+                    body.truncated = true;
+                }
+                if (kept.byteLength > 0) {
+                    body.captured += kept.byteLength;
+                    if (!body.binary) {
+                        body.text += body.decoder.decode(kept, { stream: true });
+                    } else if (options.binaryBody === 'base64') {
+                        body.bytes.push(kept.slice());
+                    }
+                }
+                
+                onChunk(body);
+                return read();
+            });
+            
+            return read();
+        }
+        
+        // 没有 Content-Type 时按内容判断：含 NUL 或不是合法 UTF-8 视为二进制
+        isBinaryChunk(chunk) {
+            const sample = chunk.subarray(0, 1024);
+            if (sample.includes(0)) return true;
+            
+            try {
+                new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+                return false;
             } catch (e) {
-                return data;
+                return true;
             }
         }
         
-        parseHeaders(headers) {
-            if (!headers) return {};
+        // 返回 { responseText, stream }，stream 为记录上的 responseSize、chunks 等字段
+        snapshotResponseBody(body) {
+            const stream = { responseSize: body.size };
+            if (body.chunkCount > 1) {
+                stream.chunks = body.chunks.slice();
+                stream.chunkCount = body.chunkCount;
+            }
+            if (body.truncated) {
+                stream.responseTruncated = true;
+            }
             
-            const result = {};
-            if (headers.forEach) {
-                headers.forEach((value, key) => {
-                    result[key] = value;
-                });
+            let responseText;
+            if (!body.binary) {
+                responseText = body.truncated ? `${body.text}\n…[已截断，共接收 ${body.size} 字节]` : body.text;
+            } else if (this.config.streaming.binaryBody === 'base64') {
+                responseText = this.toBase64(body.bytes);
+                stream.responseEncoding = 'base64';
+            } else {
+                responseText = `[Binary, ${body.contentType || 'application/octet-stream'}, ${body.size} bytes]`;
             }
-            return result;
+            
+            return { responseText, stream };
         }
         
-        generateId() {
-            return Date.now().toString() + Math.random().toString(36).substring(2, 9);
+        toBase64(chunks) {
+            let binary = '';
+            chunks.forEach(chunk => {
+                for (let offset = 0; offset < chunk.byteLength; offset += 0x8000) {
+                    binary += String.fromCharCode.apply(null, chunk.subarray(offset, offset + 0x8000));
+                }
+            });
+            return btoa(binary);
         }
         
-        saveRequest(data) {
-            this.log('💾 保存请求:', data);
+        interceptScriptTags() {
+            const self = this;
+            self.log('🔧 开始拦截Script标签');
             
-            this.capturedRequests.push(data);
+            // 监听DOM变化，检测动态添加的script标签
+            const observer = new MutationObserver((mutations) => {
+                mutations.forEach((mutation) => {
+                    mutation.addedNodes.forEach((node) => {
+                        if (node.nodeType === Node.ELEMENT_NODE && node.tagName === 'SCRIPT') {
+                            const src = node.src;
+                            if (src) {
+                                const shouldCapture = self.shouldCaptureRequest(src, { method: 'GET' });
+                                
+                                if (shouldCapture) {
+                                    self.captureScriptTag(node, src);
+                                }
+                            }
+                        }
+                    });
+                });
+            });
             
-            if (this.capturedRequests.length > this.config.maxStoredRequests) {
-                this.capturedRequests = this.capturedRequests.slice(-this.config.maxStoredRequests);
-            }
+            observer.observe(document, {
+                childList: true,
+                subtree: true
+            });
             
-            this.saveToStorage();
+            this.observers.push(observer);
+        }
+        
+        captureScriptTag(node, src) {
+            // MutationObserver 回调先于外部脚本执行，此时包装回调即可拿到 JSONP 数据
+            const callbackName = this.getJSONPCallbackName(src);
+            const type = callbackName ? 'jsonp' : 'script';
+            const startTime = Date.now();
+            const requestId = this.trackPendingRequest(type, 'GET', src);
+            let payload;
+            let called = false;
             
-            if (this.config.enableUI) {
-                this.updateBadgeCount();
-            }
+            this.log(callbackName ? `📡 监控JSONP请求: ${src} (回调: ${callbackName})` : `📡 监控Script标签请求: ${src}`);
             
-            this.triggerEvent('requestCaptured', data);
+            const restoreCallback = callbackName ? this.hookJSONPCallback(callbackName, data => {
+                called = true;
+                payload = this.snapshotData(data);
+            }) : null;
+            
+            let finished = false;
+            const finish = (state, error) => {
+                if (finished) return;
+                finished = true;
+                this.pendingRequests.delete(requestId);
+                if (restoreCallback) restoreCallback();
+                
+                if (callbackName && state === 'completed' && !called) {
+                    state = 'failed';
+                    error = { type: 'jsonp', message: `脚本已加载但未调用回调 ${callbackName}` };
+                }
+                
+                const requestData = this.buildRequestData(type, {
+                    id: requestId,
+                    method: 'GET',
+                    url: src,
+                    status: error && error.type === 'network' ? 0 : 200,
+                    responseText: payload,
+                    duration: Date.now() - startTime,
+                    state: state,
+                    error: error
+                });
+                
+                if (callbackName) {
+                    requestData.jsonpCallback = callbackName;
+                }
+                
+                this.saveRequest(requestData);
+            };
+            
+            node.addEventListener('load', () => finish('completed'));
+            node.addEventListener('error', () => finish('failed', { type: 'network', message: '脚本加载失败' }));
         }
         
-        saveToStorage() {
+        getJSONPCallbackName(url) {
+            let params;
             try {
-                localStorage.setItem(this.config.storageKey, JSON.stringify(this.capturedRequests));
+                params = new URL(url, window.location.href).searchParams;
             } catch (e) {
-                this.log('❌ 保存到本地存储失败:', e);
+                return null;
             }
-        }
-        
-        loadFromStorage() {
-            try {
-                const stored = localStorage.getItem(this.config.storageKey);
-                if (stored) {
-                    this.capturedRequests = JSON.parse(stored);
+            
+            const names = (this.config.jsonpCallbackParams || []).map(name => name.toLowerCase());
+            for (const [key, value] of params) {
+                // mtop 的回调参数名可配置，但回调名固定为 mtopjsonp + 序号
+                if ((names.includes(key.toLowerCase()) || /^mtopjsonp\d+$/.test(value)) &&
+                    /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/.test(value)) {
+                    return value;
                 }
-            } catch (e) {
-                this.log('❌ 从本地存储加载失败:', e);
-                this.capturedRequests = [];
             }
+            
+            return null;
         }
         
-        clear() {
-            this.capturedRequests = [];
-            this.saveToStorage();
+        // 包装全局回调（支持 a.b.c 形式），页面之后重新赋值也会被包装；返回恢复函数
+        hookJSONPCallback(name, onData) {
+            const parts = name.split('.');
+            const prop = parts.pop();
+            const owner = parts.reduce((obj, key) => (obj ? obj[key] : undefined), window);
             
-            if (this.config.enableUI) {
-                this.updateBadgeCount();
-                this.renderRequestList();
+            if (!owner || (typeof owner !== 'object' && typeof owner !== 'function')) {
+                return () => {};
             }
             
-            this.triggerEvent('dataCleared');
+            const wrap = (fn) => {
+                if (typeof fn !== 'function') return fn;
+                
+                const wrapper = function() {
+                    try {
+                        onData(arguments[0]);
+                    } catch (e) {
+                        // 忽略采集错误，不影响页面回调
+                    }
+                    return fn.apply(this, arguments);
+                };
+                jsonpWrappers.set(wrapper, fn);
+                return wrapper;
+            };
+            
+            const descriptor = Object.getOwnPropertyDescriptor(owner, prop);
+            if (descriptor && !descriptor.configurable) {
+                if (descriptor.writable && typeof descriptor.value === 'function') {
+                    owner[prop] = wrap(descriptor.value);
+                }
+                return () => {};
+            }
+            
+            let value = wrap(descriptor ? (descriptor.get ? descriptor.get.call(owner) : descriptor.value) : undefined);
+            const getter = () => value;
+            
+            Object.defineProperty(owner, prop, {
+                configurable: true,
+                enumerable: true,
+                get: getter,
+                set: (newValue) => {
+                    value = wrap(newValue);
+                }
+            });
+            
+            return () => {
+                const current = Object.getOwnPropertyDescriptor(owner, prop);
+                // 页面已删除或重新定义了该属性时不再恢复
+                if (!current || current.get !== getter) return;
+                
+                Object.defineProperty(owner, prop, {
+                    configurable: true,
+                    enumerable: true,
+                    writable: true,
+                    value: jsonpWrappers.get(value) || value
+                });
+            };
         }
         
-        getRequests() {
-            return [...this.capturedRequests];
+        snapshotData(data) {
+            try {
+                return JSON.parse(JSON.stringify(data));
+            } catch (e) {
+                return data;
+            }
+        }
+        
+        setupPerformanceObserver() {
+            try {
+                if (typeof PerformanceObserver !== 'undefined') {
+                    const self = this;
+                    const observer = new PerformanceObserver((list) => {
+                        list.getEntries().forEach(entry => self.handleResourceEntry(entry));
+                    });
+                    
+                    try {
+                        // buffered 可以拿到监控器启动前已完成的请求
+                        observer.observe({ type: 'resource', buffered: true });
+                    } catch (e) {
+                        observer.observe({ entryTypes: ['resource'] });
+                    }
+                    this.observers.push(observer);
+                    this.log('✅ Performance Observer已设置');
+                }
+            } catch (e) {
+                this.log('❌ 设置Performance Observer失败:', e);
+            }
+        }
+        
+        handleResourceEntry(entry, retried = false) {
+            const types = RESOURCE_INITIATOR_TYPES[entry.initiatorType];
+            if (!types) return;
+            
+            const url = entry.name;
+            if (entry.startTime + entry.duration < this.resourceEntriesFrom) return;
+            
+            if (!this.shouldCaptureRequest(url)) return;
+            
+            const timing = this.buildResourceTiming(entry);
+            if (this.attachResourceTiming(url, types, timing)) return;
+            
+            // 拦截记录可能稍晚写入，启动后发起的请求再等待一次匹配
+            if (!retried && timing.startedAt >= this.startedAt) {
+                setTimeout(() => this.handleResourceEntry(entry, true), 1000);
+                return;
+            }
+            
+            this.log(`📊 Performance API检测到未拦截的请求: ${url}`);
+            
+            const requestData = this.buildRequestData('performance', {
+                method: 'UNKNOWN',
+                url: url,
+                status: entry.responseStatus || undefined,
+                duration: Math.round(entry.duration),
+                initiator: entry.initiatorType,
+                timing: timing
+            });
+            
+            this.saveRequest(requestData);
+        }
+        
+        getTimeOrigin() {
+            if (typeof performance === 'undefined') return 0;
+            return performance.timeOrigin || (performance.timing && performance.timing.navigationStart) || 0;
+        }
+        
+        buildResourceTiming(entry) {
+            const span = (start, end) => (start > 0 && end >= start ? Math.round((end - start) * 100) / 100 : 0);
+            
+            return {
+                startedAt: Math.round(this.getTimeOrigin() + entry.startTime),
+                dns: span(entry.domainLookupStart, entry.domainLookupEnd),
+                connect: span(entry.connectStart, entry.connectEnd),
+                ssl: span(entry.secureConnectionStart, entry.connectEnd),
+                ttfb: span(entry.requestStart, entry.responseStart),
+                download: span(entry.responseStart, entry.responseEnd),
+                total: Math.round(entry.duration * 100) / 100,
+                transferSize: entry.transferSize || 0,
+                encodedBodySize: entry.encodedBodySize || 0,
+                decodedBodySize: entry.decodedBodySize || 0,
+                protocol: entry.nextHopProtocol || ''
+            };
+        }
+        
+        // 把资源计时附加到对应的拦截记录上（进行中的或最近保存的），匹配成功返回 true
+        attachResourceTiming(url, types, timing) {
+            const absoluteURL = this.resolveURL(url);
+            const tolerance = 1500;
+            let best = null;
+            let bestDiff = Infinity;
+            
+            // 资源条目带有原始URL，与脱敏前的URL比较
+            const consider = (req, startedAt, pending, url) => {
+                if (!types.includes(req.type) || req.timing || this.resolveURL(url) !== absoluteURL) return;
+                if (pending && this.pendingTimings.has(req.id)) return;
+                
+                const diff = Math.abs(startedAt - timing.startedAt);
+                if (diff < bestDiff) {
+                    best = { req, pending };
+                    bestDiff = diff;
+                }
+            };
+            
+            this.pendingRequests.forEach(req => {
+                consider(req, new Date(req.timestamp).getTime(), true, this.pendingURLs.get(req) || req.url);
+            });
+            
+            const from = Math.max(0, this.capturedRequests.length - 100);
+            for (let i = this.capturedRequests.length - 1; i >= from; i--) {
+                const req = this.capturedRequests[i];
+                if (!req.timestamp) continue;
+                consider(req, new Date(req.timestamp).getTime() - (req.duration || 0), false, this.unredactedRequests.get(req.id)?.url || req.url);
+            }
+            
+            if (!best || bestDiff > tolerance) {
+                return false;
+            }
+            
+            if (!this.config.captureFields.response.timing) {
+                return true;
+            }
+            
+            if (best.pending) {
+                this.pendingTimings.set(best.req.id, timing);
+            } else {
+                this.updateRequest(best.req.id, { timing });
+            }
+            return true;
+        }
+        
+        // 请求过滤器，targetPaths / include / exclude 中的匹配器可以是：
+        //   字符串: URL 包含该字符串；含 * 时为通配符，* 匹配任意字符（包括 /），整体匹配路径，以 http 或 // 开头时整体匹配完整URL
+        //           如 '/h5/mtop.cbu.*' 匹配 /h5/mtop.cbu.distribute.selection.list/1.0/；规则的 match.url 使用相同写法
+        //   正则: 匹配完整URL
+        //   函数: (request) => boolean，request 包含 url/host/path/method/headers/body
+        //   对象: { url, path, host, method, headers, body, test }，所有字段都满足才算匹配
+        // allowedDomains 中的域名匹配器：
+        //   'air.1688.com'  该域名及其子域名
+        //   '*.1688.com'    通配符匹配，仅子域名
+        //   '=air.1688.com' 仅该域名
+        //   正则或函数      匹配 hostname
+        // 请求的方法、请求头或请求体未知时（如 Performance 条目），相关条件不参与判断
+        shouldCaptureRequest(url, details = {}) {
+            const { targetPaths = [], allowedDomains = [], methods = [], include = [], exclude = [] } = this.config;
+            
+            try {
+                const request = this.buildFilterRequest(url, details);
+                
+                // 上传请求本身不捕获，避免记录被循环上传
+                if (this.isSinkRequest(request)) {
+                    return false;
+                }
+                
+                if (allowedDomains.length > 0 && !allowedDomains.some(domain => this.matchHost(domain, request.host))) {
+                    return false;
+                }
+                
+                if (targetPaths.length > 0 && !targetPaths.some(matcher => this.matchFilter(matcher, request, true))) {
+                    return false;
+                }
+                
+                if (methods.length > 0 && request.method &&
+                    !methods.map(method => String(method).toUpperCase()).includes(request.method)) {
+                    return false;
+                }
+                
+                if (include.length > 0 && !include.some(matcher => this.matchFilter(matcher, request, true))) {
+                    return false;
+                }
+                
+                if (exclude.length > 0 && exclude.some(matcher => this.matchFilter(matcher, request, false))) {
+                    return false;
+                }
+                
+                return this.runPluginHook('shouldCapture', request) !== false;
+            } catch (e) {
+                this.log('❌ 请求过滤出错:', e);
+                return false;
+            }
+        }
+        
+        buildFilterRequest(url, details) {
+            let parsed = null;
+            try {
+                parsed = new URL(url, window.location.href);
+            } catch (e) {
+                parsed = null;
+            }
+            
+            const headers = {};
+            Object.entries(details.headers ? this.parseHeaders(details.headers) : {}).forEach(([name, value]) => {
+                headers[name.toLowerCase()] = value;
+            });
+            
+            return {
+                url: parsed ? parsed.href : String(url),
+                host: parsed ? parsed.hostname : this.parseURL(url).domain,
+                path: parsed ? parsed.pathname : this.parseURL(url).path,
+                method: details.method ? String(details.method).toUpperCase() : undefined,
+                headers: 'headers' in details ? headers : undefined,
+                body: details.body,
+                hasBody: 'body' in details
+            };
+        }
+        
+        // unknownResult: 请求缺少匹配器需要的字段时的返回值
+        matchFilter(matcher, request, unknownResult) {
+            if (typeof matcher === 'function') {
+                return !!matcher(request);
+            }
+            
+            if (typeof matcher === 'string') {
+                return this.matchURLPattern(matcher, request);
+            }
+            
+            if (Object.prototype.toString.call(matcher) === '[object RegExp]') {
+                return this.matchPattern(matcher, request.url);
+            }
+            
+            if (!matcher || typeof matcher !== 'object') {
+                return false;
+            }
+            
+            if (matcher.url !== undefined && !this.matchURL(matcher.url, request)) {
+                return false;
+            }
+            
+            if (matcher.path !== undefined && !(typeof matcher.path === 'string' && matcher.path.includes('*')
+                ? this.globToRegExp(matcher.path).test(request.path || '')
+                : this.matchPattern(matcher.path, request.path, request.path))) {
+                return false;
+            }
+            
+            if (matcher.host !== undefined && !this.matchHost(matcher.host, request.host)) {
+                return false;
+            }
+            
+            if (matcher.method !== undefined) {
+                if (!request.method) return unknownResult;
+                const methods = [].concat(matcher.method).map(method => String(method).toUpperCase());
+                if (!methods.includes(request.method)) return false;
+            }
+            
+            if (matcher.headers !== undefined) {
+                if (!request.headers) return unknownResult;
+                if (!this.matchHeaders(matcher.headers, request.headers)) return false;
+            }
+            
+            if (matcher.body !== undefined) {
+                if (!request.hasBody) return unknownResult;
+                if (!this.matchPattern(matcher.body, this.stringifyBody(request.body), this.parseData(request.body))) return false;
+            }
+            
+            if (typeof matcher.test === 'function' && !matcher.test(request)) {
+                return false;
+            }
+            
+            return true;
+        }
+        
+        matchURLPattern(pattern, request) {
+            if (!pattern.includes('*')) {
+                return request.url.includes(pattern);
+            }
+            
+            const target = /^(https?:)?\/\//.test(pattern) ? request.url : request.path;
+            return this.globToRegExp(pattern).test(target || '');
+        }
+        
+        // 过滤器和规则中的 url 条件：字符串按 matchURLPattern 匹配，正则和函数匹配完整URL
+        matchURL(pattern, request) {
+            if (typeof pattern === 'string') {
+                return this.matchURLPattern(pattern, request);
+            }
+            return this.matchPattern(pattern, request.url, request.url);
+        }
+        
+        matchHeaders(matcher, headers) {
+            if (typeof matcher === 'function') {
+                return !!matcher(headers);
+            }
+            
+            return Object.entries(matcher).every(([name, pattern]) => {
+                const value = headers[name.toLowerCase()];
+                return value !== undefined && this.matchPattern(pattern, value, value);
+            });
+        }
+        
+        matchHost(pattern, host) {
+            host = String(host || '').toLowerCase();
+            
+            if (typeof pattern !== 'string') {
+                return this.matchPattern(pattern, host, host);
+            }
+            
+            const domain = pattern.toLowerCase();
+            if (domain.startsWith('=')) {
+                return host === domain.slice(1);
+            }
+            
+            if (domain.includes('*')) {
+                return this.globToRegExp(domain).test(host);
+            }
+            
+            const base = domain.replace(/^\./, '');
+            return host === base || host.endsWith(`.${base}`);
+        }
+        
+        // * 匹配任意字符（包括 /），连续的 ** 与 * 相同
+        globToRegExp(glob) {
+            const source = glob
+                .split(/\*+/)
+                .map(text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+                .join('.*');
+            return new RegExp(`^${source}$`, 'i');
+        }
+        
+        getFilter() {
+            const { targetPaths, allowedDomains, methods, include, exclude } = this.config;
+            return { targetPaths, allowedDomains, methods, include, exclude };
+        }
+        
+        // 运行时修改过滤条件，只更新传入的字段，立即对之后的请求生效
+        setFilter(filter = {}) {
+            ['targetPaths', 'allowedDomains', 'methods', 'include', 'exclude'].forEach(key => {
+                if (filter[key] !== undefined) {
+                    this.config[key] = [].concat(filter[key]);
+                }
+            });
+            this.log('🔧 过滤条件已更新:', this.getFilter());
+            this.notifyConfigChanged(filter);
+            return this.getFilter();
+        }
+        
+        // 请求规则引擎
+        // 规则结构:
+        // {
+        //     id: 'rule-id',             // 可选，缺省时自动生成
+        //     name: '描述',
+        //     enabled: true,
+        //     match: {
+        //         url: '/h5/mtop.xxx',   // 字符串(写法同 shouldCaptureRequest 的字符串匹配器)、正则或函数(参数为完整URL)
+        //         method: 'POST',        // 字符串或数组
+        //         body: /keyword/        // 字符串(包含)、正则或函数(参数为解析后的请求体)
+        //     },
+        //     mockResponse: { status, statusText, headers, body, delay },   // 直接返回模拟响应，不发出真实请求
+        //     rewriteRequest: { url, method, headers, body },               // 发出前改写请求
+        //     rewriteResponse: { status, statusText, headers, body }        // 页面读取前改写真实响应
+        // }
+        // 每个字段都可以是值或函数，函数接收当前值和请求上下文并返回新值；
+        // headers 为对象时与原值合并，值为 null 表示删除该请求头。
+        
+        addRule(rule) {
+            const normalized = {
+                enabled: true,
+                match: {},
+                ...rule,
+                id: rule.id || this.generateId()
+            };
+            
+            this.config.rules = (this.config.rules || []).filter(item => item.id !== normalized.id);
+            this.config.rules.push(normalized);
+            this.log('➕ 添加规则:', normalized.name || normalized.id);
+            this.notifyConfigChanged({ rules: this.getRules() });
+            return normalized;
+        }
+        
+        updateRule(id, changes) {
+            const rule = (this.config.rules || []).find(item => item.id === id);
+            if (!rule) {
+                this.log('⚠️ 规则不存在:', id);
+                return null;
+            }
+            
+            Object.assign(rule, changes, { id });
+            this.notifyConfigChanged({ rules: this.getRules() });
+            return rule;
+        }
+        
+        removeRule(id) {
+            const rules = this.config.rules || [];
+            this.config.rules = rules.filter(item => item.id !== id);
+            const removed = this.config.rules.length !== rules.length;
+            if (removed) {
+                this.notifyConfigChanged({ rules: this.getRules() });
+            }
+            return removed;
+        }
+        
+        getRules() {
+            return [...(this.config.rules || [])];
+        }
+        
+        clearRules() {
+            this.config.rules = [];
+            this.notifyConfigChanged({ rules: [] });
+        }
+        
+        findMatchingRule(request) {
+            return (this.config.rules || []).find(rule => {
+                if (!rule || rule.enabled === false) return false;
+                
+                try {
+                    return this.matchRule(rule, request);
+                } catch (e) {
+                    this.log('❌ 规则匹配出错:', rule.id, e);
+                    return false;
+                }
+            }) || null;
+        }
+        
+        matchRule(rule, { method, url, body }) {
+            const match = rule.match || {};
+            
+            if (match.method) {
+                const methods = [].concat(match.method).map(item => String(item).toUpperCase());
+                if (!methods.includes(String(method || 'GET').toUpperCase())) {
+                    return false;
+                }
+            }
+            
+            if (match.url !== undefined && !this.matchURL(match.url, this.buildFilterRequest(url || '', {}))) {
+                return false;
+            }
+            
+            if (match.body !== undefined && !this.matchPattern(match.body, this.stringifyBody(body), this.parseData(body))) {
+                return false;
+            }
+            
+            return true;
+        }
+        
+        matchPattern(pattern, text, value) {
+            if (typeof pattern === 'function') {
+                return !!pattern(value);
+            }
+            
+            // 跨上下文（如油猴沙箱）传入的正则无法通过 instanceof 判断
+            if (Object.prototype.toString.call(pattern) === '[object RegExp]') {
+                pattern.lastIndex = 0;
+                return pattern.test(text || '');
+            }
+            
+            return String(text || '').includes(String(pattern));
+        }
+        
+        stringifyBody(body) {
+            const value = this.serializeBody(body);
+            if (value === undefined || value === null || typeof value.then === 'function') return '';
+            if (typeof value === 'string') return value;
+            
+            try {
+                return JSON.stringify(value);
+            } catch (e) {
+                return String(body);
+            }
+        }
+        
+        resolveRuleValue(value, current, context) {
+            return typeof value === 'function' ? value(current, context) : value;
+        }
+        
+        serializeRuleBody(body) {
+            if (body === undefined || body === null || typeof body === 'string') return body;
+            if (typeof body === 'object' && !(body instanceof Blob) && !(body instanceof ArrayBuffer) &&
+                !(typeof FormData !== 'undefined' && body instanceof FormData) && !(body instanceof URLSearchParams)) {
+                return JSON.stringify(body);
+            }
+            return body;
+        }
+        
+        mergeRuleHeaders(headers, changes, context) {
+            if (changes === undefined) return { ...headers };
+            
+            const resolved = this.resolveRuleValue(changes, { ...headers }, context);
+            if (typeof changes === 'function') return { ...resolved };
+            
+            const merged = { ...headers };
+            Object.entries(resolved || {}).forEach(([name, value]) => {
+                // 请求头名称大小写不敏感，先移除同名旧值
+                Object.keys(merged).forEach(key => {
+                    if (key.toLowerCase() === name.toLowerCase()) delete merged[key];
+                });
+                if (value !== null && value !== undefined) {
+                    merged[name] = String(value);
+                }
+            });
+            return merged;
+        }
+        
+        rewriteRequestByRule(rule, request) {
+            const changes = rule.rewriteRequest || {};
+            const context = { ...request, rule };
+            const result = {
+                method: request.method || 'GET',
+                url: request.url,
+                headers: { ...request.headers },
+                body: request.body
+            };
+            
+            if (changes.method !== undefined) {
+                result.method = String(this.resolveRuleValue(changes.method, result.method, context)).toUpperCase();
+            }
+            
+            if (changes.url !== undefined) {
+                result.url = String(this.resolveRuleValue(changes.url, result.url, context));
+            }
+            
+            result.headers = this.mergeRuleHeaders(result.headers, changes.headers, context);
+            
+            if (changes.body !== undefined) {
+                const current = typeof changes.body === 'function' ? this.parseData(request.body) : request.body;
+                result.body = this.serializeRuleBody(this.resolveRuleValue(changes.body, current, context));
+            }
+            
+            return result;
+        }
+        
+        rewriteResponseByRule(rule, response, request) {
+            const changes = rule.rewriteResponse || {};
+            const context = { ...request, rule };
+            const result = { ...response, headers: { ...response.headers } };
+            
+            if (changes.status !== undefined) {
+                result.status = Number(this.resolveRuleValue(changes.status, result.status, context));
+            }
+            
+            if (changes.statusText !== undefined) {
+                result.statusText = String(this.resolveRuleValue(changes.statusText, result.statusText, context));
+            }
+            
+            result.headers = this.mergeRuleHeaders(result.headers, changes.headers, context);
+            
+            if (changes.body !== undefined) {
+                const current = typeof changes.body === 'function' ? this.parseData(response.text) : response.text;
+                const body = this.serializeRuleBody(this.resolveRuleValue(changes.body, current, context));
+                result.text = body === undefined || body === null ? '' : String(body);
+            }
+            
+            return result;
+        }
+        
+        buildMockResponse(rule, request) {
+            const mock = rule.mockResponse || {};
+            const context = { ...request, rule };
+            const body = this.resolveRuleValue(mock.body, this.parseData(request.body), context);
+            const text = body === undefined || body === null ? '' : String(this.serializeRuleBody(body));
+            const headers = this.mergeRuleHeaders(
+                typeof body === 'object' && body !== null ? { 'content-type': 'application/json' } : {},
+                mock.headers,
+                context
+            );
+            
+            return {
+                status: Number(this.resolveRuleValue(mock.status, 200, context) || 200),
+                statusText: mock.statusText || 'OK',
+                headers: headers,
+                text: text,
+                delay: Number(mock.delay) || 0
+            };
+        }
+        
+        formatHeaderString(headers) {
+            return Object.entries(headers || {})
+                .map(([name, value]) => `${name.toLowerCase()}: ${value}`)
+                .join('\r\n');
+        }
+        
+        overrideXHRResponse(xhr, response) {
+            const define = (prop, value) => {
+                Object.defineProperty(xhr, prop, {
+                    configurable: true,
+                    get: () => value
+                });
+            };
+            
+            let responseValue = response.text;
+            if (xhr.responseType === 'json') {
+                try {
+                    responseValue = JSON.parse(response.text);
+                } catch (e) {
+                    responseValue = null;
+                }
+            }
+            
+            define('readyState', 4);
+            define('status', response.status);
+            define('statusText', response.statusText || '');
+            define('responseText', response.text);
+            define('response', responseValue);
+            
+            const headerString = this.formatHeaderString(response.headers);
+            xhr.getAllResponseHeaders = () => headerString;
+            xhr.getResponseHeader = (name) => {
+                const key = Object.keys(response.headers || {}).find(item => item.toLowerCase() === String(name).toLowerCase());
+                return key ? String(response.headers[key]) : null;
+            };
+        }
+        
+        readXHRResponse(xhr) {
+            let text = '';
+            if (!xhr.responseType || xhr.responseType === 'text') {
+                text = xhr.responseText;
+            } else if (xhr.responseType === 'json') {
+                text = xhr.response === null ? '' : JSON.stringify(xhr.response);
+            }
+            
+            const headers = {};
+            (xhr.getAllResponseHeaders() || '').trim().split(/[\r\n]+/).forEach(line => {
+                const index = line.indexOf(':');
+                if (index > 0) {
+                    headers[line.slice(0, index).trim()] = line.slice(index + 1).trim();
+                }
+            });
+            
+            return {
+                status: xhr.status,
+                statusText: xhr.statusText,
+                headers: headers,
+                text: text
+            };
+        }
+        
+        applyXHRResponseRule(xhr, rule) {
+            const response = this.rewriteResponseByRule(rule, this.readXHRResponse(xhr), {
+                method: xhr._method,
+                url: xhr._url,
+                body: xhr._body
+            });
+            this.overrideXHRResponse(xhr, response);
+            this.log(`✏️ 规则改写XHR响应: ${xhr._method} ${xhr._url}`);
+        }
+        
+        respondXHRWithMock(xhr, rule, body) {
+            const mock = this.buildMockResponse(rule, {
+                method: xhr._method,
+                url: xhr._url,
+                headers: xhr._requestHeaders,
+                body: body
+            });
+            
+            setTimeout(() => {
+                this.overrideXHRResponse(xhr, mock);
+                ['readystatechange', 'load', 'loadend'].forEach(type => {
+                    xhr.dispatchEvent(new Event(type));
+                });
+            }, mock.delay);
+        }
+        
+        createMockFetchResponse(rule, request) {
+            const mock = this.buildMockResponse(rule, request);
+            
+            return new Promise(resolve => setTimeout(resolve, mock.delay)).then(() => {
+                const response = new Response(mock.text, {
+                    status: mock.status,
+                    statusText: mock.statusText,
+                    headers: mock.headers
+                });
+                Object.defineProperty(response, 'url', { value: request.url });
+                return response;
+            });
+        }
+        
+        rewriteFetchResponse(rule, response, request) {
+            return response.clone().text().then(text => {
+                const rewritten = this.rewriteResponseByRule(rule, {
+                    status: response.status,
+                    statusText: response.statusText,
+                    headers: this.parseHeaders(response.headers),
+                    text: text
+                }, request);
+                
+                const result = new Response(rewritten.text, {
+                    status: rewritten.status,
+                    statusText: rewritten.statusText,
+                    headers: rewritten.headers
+                });
+                Object.defineProperty(result, 'url', { value: response.url || request.url });
+                this.log(`✏️ 规则改写Fetch响应: ${request.method} ${request.url}`);
+                return result;
+            });
+        }
+        
+        // 注册插件。插件是带钩子方法的对象，或接收监控器实例并返回该对象的函数
+        use(plugin) {
+            const resolved = typeof plugin === 'function' ? plugin(this) : plugin;
+            if (!resolved || typeof resolved !== 'object') {
+                throw new Error('插件必须是对象或返回对象的函数');
+            }
+            
+            if (!resolved.name) {
+                resolved.name = `plugin_${this.plugins.length + 1}`;
+            }
+            
+            // 同名插件重复注册时替换旧的，保持原有顺序
+            const index = this.plugins.findIndex(item => item.name === resolved.name);
+            if (index >= 0) {
+                this.plugins[index] = resolved;
+            } else {
+                this.plugins.push(resolved);
+            }
+            
+            this.log(`🧩 已注册插件: ${resolved.name}`);
+            return this;
+        }
+        
+        unuse(name) {
+            const index = this.plugins.findIndex(item => item.name === name || item === name);
+            if (index < 0) return false;
+            
+            this.plugins.splice(index, 1);
+            return true;
+        }
+        
+        getPlugins() {
+            return this.plugins.slice();
+        }
+        
+        // 按注册顺序执行钩子：返回值替换当前值，可否决的钩子返回 false 时中止
+        runPluginHook(hook, value, context = {}) {
+            const vetoable = PLUGIN_VETO_HOOKS.includes(hook);
+            const recordHook = PLUGIN_RECORD_HOOKS.includes(hook);
+            
+            for (const plugin of this.plugins) {
+                if (typeof plugin[hook] !== 'function') continue;
+                
+                try {
+                    const result = plugin[hook](value, { ...context, monitor: this });
+                    if (result === false && vetoable) {
+                        this.log(`🚫 插件 ${plugin.name} 的 ${hook} 已拒绝`);
+                        return false;
+                    }
+                    if (result === undefined || typeof result === 'boolean') continue;
+                    
+                    if (recordHook && Object.prototype.toString.call(result) !== '[object Object]') {
+                        this.log(`⚠️ 插件 ${plugin.name} 的 ${hook} 返回值不是对象，已忽略:`, result);
+                    } else {
+                        value = result;
+                    }
+                } catch (e) {
+                    this.log(`❌ 插件 ${plugin.name} 的 ${hook} 出错:`, e);
+                }
+            }
+            
+            return value;
+        }
+        
+        trackPendingRequest(type, method, url) {
+            const id = this.generateId();
+            const urlInfo = this.parseURL(url);
+            const pending = this.redactRecord({
+                id: id,
+                type: type,
+                method: method,
+                url: url,
+                domain: urlInfo.domain,
+                path: urlInfo.path,
+                timestamp: new Date().toISOString(),
+                state: 'pending',
+                sessionId: this.sessionState.activeId
+            });
+            
+            this.pendingURLs.set(pending, url);
+            this.pendingRequests.set(id, pending);
+            this.triggerEvent('requestStarted', pending);
+            
+            if (this.config.enableUI) {
+                this.scheduleListRender();
+            }
+            
+            return id;
+        }
+        
+        getPendingRequests() {
+            return Array.from(this.pendingRequests.values());
+        }
+        
+        describeRequestError(error) {
+            const name = error && error.name;
+            const message = (error && error.message) || String(error);
+            
+            if (name === 'AbortError') {
+                return { state: 'aborted', error: { type: 'abort', message: message || '请求已取消' } };
+            }
+            
+            if (name === 'TimeoutError') {
+                return { state: 'failed', error: { type: 'timeout', message: message || '请求超时' } };
+            }
+            
+            return { state: 'failed', error: { type: 'network', message: message || '网络错误' } };
+        }
+        
+        buildRequestData(type, data) {
+            data = this.runPluginHook('beforeBuild', data, { type });
+            
+            const requestData = {
+                id: data.id || this.generateId(),
+                type: type,
+                state: data.state || 'completed'
+            };
+            
+            if (data.error) {
+                requestData.error = data.error;
+            }
+            
+            const urlInfo = this.parseURL(data.url);
+            
+            if (this.config.captureFields.request.method) {
+                requestData.method = data.method;
+            }
+            
+            if (this.config.captureFields.request.url) {
+                requestData.url = data.url;
+            }
+            
+            if (this.config.captureFields.request.payload) {
+                requestData.request = this.parseData(data.body);
+                if (data.bodyType) {
+                    requestData.requestBodyType = data.bodyType;
+                }
+            }
+            
+            if (this.config.captureFields.request.headers && data.headers && Object.keys(data.headers).length > 0) {
+                requestData.requestHeaders = data.headers;
+            }
+            
+            if (this.config.captureFields.response.status) {
+                requestData.status = data.status;
+            }
+            
+            if (this.config.captureFields.response.body) {
+                requestData.response = this.parseData(data.responseText);
+            }
+            
+            if (this.config.captureFields.response.headers && data.responseHeaders) {
+                requestData.responseHeaders = data.responseHeaders;
+            }
+            
+            if (this.config.mtop.enabled && data.url) {
+                const response = requestData.response !== undefined ? requestData.response : this.parseData(data.responseText);
+                const mtop = this.decodeMtop(data.url, data.body, response);
+                if (mtop) {
+                    requestData.mtop = mtop;
+                }
+            }
+            
+            if (this.config.captureFields.metadata.timestamp) {
+                requestData.timestamp = new Date().toISOString();
+            }
+            
+            if (this.config.captureFields.metadata.domain) {
+                requestData.domain = urlInfo.domain;
+            }
+            
+            if (this.config.captureFields.metadata.path) {
+                requestData.path = urlInfo.path;
+            }
+            
+            if (this.config.captureFields.metadata.duration) {
+                requestData.duration = data.duration;
+            }
+            
+            if (this.config.captureFields.metadata.initiator) {
+                requestData.initiator = data.initiator || type;
+            }
+            
+            if (this.sessionState.activeId) {
+                requestData.sessionId = this.sessionState.activeId;
+            }
+            
+            if (this.config.captureFields.metadata.page) {
+                requestData.page = {
+                    tabId: TAB_ID,
+                    navigationId: NAVIGATION_ID,
+                    url: window.location.href
+                };
+            }
+            
+            const timing = data.timing || this.pendingTimings.get(requestData.id);
+            this.pendingTimings.delete(requestData.id);
+            if (this.config.captureFields.response.timing && timing) {
+                requestData.timing = timing;
+            }
+            
+            if (data.rule) {
+                requestData.ruleId = data.rule.id;
+                requestData.mocked = !!data.rule.mockResponse;
+            }
+            
+            if (data.replayOf) {
+                requestData.replayOf = data.replayOf;
+            }
+            
+            // WebSocket / EventSource 的协议信息、消息列表和生命周期
+            if (data.connection) {
+                Object.assign(requestData, data.connection);
+            }
+            
+            // 逐块读取的响应体大小、数据块到达时间和截断标记
+            if (data.stream) {
+                Object.assign(requestData, data.stream);
+            }
+            
+            return this.runPluginHook('transformRecord', requestData, { type, data });
+        }
+        
+        // 解析 mtop 网关请求：/h5/mtop.xxx/1.0/?appKey=...&t=...&sign=...&api=...&data={...}，POST 时 data 在表单中
+        decodeMtop(url, body, response) {
+            let parsed;
+            try {
+                parsed = new URL(this.resolveURL(url));
+            } catch (e) {
+                return null;
+            }
+            
+            const query = parsed.searchParams;
+            const pathMatch = /\/(mtop\.[\w.-]+)\/(\d+(?:\.\d+)*)\/?$/i.exec(parsed.pathname);
+            const api = query.get('api') || (pathMatch && pathMatch[1]);
+            if (!api || !/^mtop\./i.test(api)) return null;
+            
+            const mtop = { api: api };
+            const version = query.get('v') || (pathMatch && pathMatch[2]);
+            if (version) mtop.v = version;
+            ['appKey', 't', 'sign', 'jsv'].forEach(name => {
+                const value = query.get(name);
+                if (value !== null) mtop[name] = value;
+            });
+            
+            const data = query.has('data') ? query.get('data') : this.getFormField(body, 'data');
+            if (data !== undefined && data !== null) {
+                mtop.params = this.parseData(data);
+            }
+            
+            return { ...mtop, ...this.decodeMtopRet(response) };
+        }
+        
+        // ret 形如 ['SUCCESS::调用成功'] 或 ['FAIL_SYS_TOKEN_EXPIRED::令牌过期']，以第一项为准
+        decodeMtopRet(response) {
+            if (!response || typeof response !== 'object' || !Array.isArray(response.ret)) return {};
+            
+            const [code, ...message] = String(response.ret[0] || '').split('::');
+            return {
+                ret: response.ret,
+                retCode: code,
+                retMessage: message.join('::'),
+                success: /^SUCCESS/i.test(code)
+            };
+        }
+        
+        getFormField(body, name) {
+            if (body && typeof body === 'object' && !Array.isArray(body)) {
+                return body[name];
+            }
+            if (typeof body === 'string' && body.includes('=') && !/^\s*[{[]/.test(body)) {
+                const value = new URLSearchParams(body).get(name);
+                return value === null ? undefined : value;
+            }
+            return undefined;
+        }
+        
+        // HTTP 状态正常但 ret 不是 SUCCESS 的业务失败
+        isMtopFailure(record) {
+            return !!record.mtop && record.mtop.success === false;
+        }
+        
+        // mtop 解码出的字段和查询参数同名，按查询参数规则脱敏，data 对应 params
+        redactMtop(mtop, rule, action) {
+            Object.entries(MTOP_QUERY_FIELDS).forEach(([field, name]) => {
+                if (mtop[field] === undefined || !this.matchName(rule.name, name)) return;
+                
+                if (action === 'drop') {
+                    delete mtop[field];
+                } else {
+                    const value = mtop[field];
+                    mtop[field] = this.redactValue(typeof value === 'string' ? value : JSON.stringify(value), action, rule);
+                }
+            });
+        }
+        
+        // 统一解析 fetch(url | URL | Request, init) 的请求信息，init 中的字段优先
+        normalizeFetchRequest(input, init) {
+            const isRequest = !!input && typeof input === 'object' && typeof input.clone === 'function' && 'method' in input;
+            const url = isRequest ? input.url : (input === undefined || input === null ? '' : String(input));
+            const method = String((init && init.method) || (isRequest && input.method) || 'GET').toUpperCase();
+            const headers = init && init.headers !== undefined
+                ? this.parseHeaders(init.headers)
+                : (isRequest ? this.parseHeaders(input.headers) : {});
+            
+            const body = init ? init.body : undefined;
+            // Request 对象的请求体只能异步读取，由 readFetchRequestBody 在发出请求的同时读取副本
+            const bodyPending = body === undefined && isRequest && input.body !== null && !input.bodyUsed && !/^(GET|HEAD)$/.test(method);
+            
+            return { url, method, headers, body, bodyPending, isRequest };
+        }
+        
+        // 多个实例拦截同一个 Request 时共用一次读取，非文本类型按 serializeBody 的方式只记录描述
+        readFetchRequestBody(input) {
+            let read = requestBodyReads.get(input);
+            if (!read) {
+                read = input.clone().blob()
+                    .then(blob => blob.size === 0
+                        ? { payload: undefined, bodyType: null }
+                        : Promise.resolve(this.serializeBody(blob)).then(payload => ({
+                            payload,
+                            bodyType: this.isTextMimeType(blob.type) ? null : 'blob'
+                        })))
+                    .catch(() => ({ payload: undefined, bodyType: null }));
+                requestBodyReads.set(input, read);
+            }
+            return read;
+        }
+        
+        // 流式上传的请求体可能一直读不完，保存记录时最多再等待 REQUEST_BODY_WAIT 毫秒
+        waitForRequestBody(bodyRead) {
+            let timer = null;
+            const timeout = new Promise(resolve => {
+                timer = setTimeout(() => resolve({ payload: '[ReadableStream]', bodyType: 'stream' }), REQUEST_BODY_WAIT);
+            });
+            return Promise.race([bodyRead, timeout]).finally(() => clearTimeout(timer));
+        }
+        
+        // 规则改写后重新组装 fetch 参数，保留原 Request 对象上的其它选项
+        buildFetchArgs(input, init, rewritten) {
+            const options = {};
+            
+            if (input && typeof input === 'object' && typeof input.clone === 'function') {
+                ['credentials', 'cache', 'redirect', 'referrer', 'referrerPolicy', 'integrity', 'keepalive', 'signal'].forEach(key => {
+                    if (input[key] !== undefined) options[key] = input[key];
+                });
+                if (input.mode && input.mode !== 'navigate') {
+                    options.mode = input.mode;
+                }
+            }
+            
+            const method = rewritten.method;
+            return [rewritten.url, {
+                ...options,
+                ...init,
+                method: method,
+                headers: rewritten.headers,
+                body: /^(GET|HEAD)$/.test(method) ? undefined : rewritten.body
+            }];
+        }
+        
+        getBodyType(body) {
+            if (body === undefined || body === null || typeof body === 'string') return null;
+            
+            const tag = Object.prototype.toString.call(body);
+            if (tag === '[object URLSearchParams]') return 'urlencoded';
+            if (tag === '[object FormData]') return 'formdata';
+            if (tag === '[object Blob]' || tag === '[object File]') return 'blob';
+            if (tag === '[object ArrayBuffer]' || ArrayBuffer.isView(body)) return 'arraybuffer';
+            if (tag === '[object ReadableStream]') return 'stream';
+            if (tag.includes('Document')) return 'document';
+            return 'object';
+        }
+        
+        // 将请求体转换为可读形式，Blob 需要异步读取时返回 Promise
+        serializeBody(body) {
+            switch (this.getBodyType(body)) {
+                case 'urlencoded':
+                    return this.entriesToObject(body, value => value);
+                case 'formdata':
+                    return this.entriesToObject(body, value => typeof value === 'string' ? value : this.describeBlob(value));
+                case 'blob':
+                    if (this.isTextMimeType(body.type)) {
+                        return body.text().catch(() => this.describeBlob(body));
+                    }
+                    return this.describeBlob(body);
+                case 'arraybuffer':
+                    return this.decodeBinary(body);
+                case 'stream':
+                    return '[ReadableStream]';
+                case 'document':
+                    return body.documentElement ? body.documentElement.outerHTML : String(body);
+                default:
+                    return body;
+            }
+        }
+        
+        entriesToObject(entries, mapValue) {
+            const result = {};
+            entries.forEach((value, key) => {
+                const mapped = mapValue(value);
+                if (Object.prototype.hasOwnProperty.call(result, key)) {
+                    result[key] = [].concat(result[key], mapped);
+                } else {
+                    result[key] = mapped;
+                }
+            });
+            return result;
+        }
+        
+        describeBlob(blob) {
+            const kind = blob.name !== undefined ? `File ${blob.name}` : 'Blob';
+            return `[${kind}, ${blob.type || 'application/octet-stream'}, ${blob.size} bytes]`;
+        }
+        
+        isTextMimeType(mimeType) {
+            return /^text\/|json|xml|javascript|x-www-form-urlencoded/i.test(mimeType || '');
+        }
+        
+        decodeBinary(data) {
+            const bytes = ArrayBuffer.isView(data)
+                ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+                : new Uint8Array(data);
+            
+            try {
+                return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+            } catch (e) {
+                return `[Binary, ${bytes.byteLength} bytes]`;
+            }
+        }
+        
+        parseURL(url) {
+            let domain = '';
+            let path = '';
+            
+            try {
+                if (/^(https?|wss?):\/\//i.test(url)) {
+                    const urlObj = new URL(url);
+                    domain = urlObj.hostname;
+                    path = urlObj.pathname;
+                } else {
+                    domain = window.location.hostname;
+                    
+                    if (url.startsWith('/')) {
+                        path = url;
+                    } else {
+                        const currentPath = window.location.pathname;
+                        const basePath = currentPath.substring(0, currentPath.lastIndexOf('/') + 1);
+                        path = basePath + url;
+                    }
+                }
+            } catch (e) {
+                domain = window.location.hostname || 'unknown';
+                path = url;
+            }
+            
+            return { domain, path };
+        }
+        
+        parseData(data) {
+            if (!data) return null;
+            
+            try {
+                if (typeof data === 'string') {
+                    return JSON.parse(data);
+                }
+                return data;
+            } catch (e) {
+                return data;
+            }
+        }
+        
+        parseHeaders(headers) {
+            if (!headers) return {};
+            
+            const result = {};
+            if (Array.isArray(headers)) {
+                headers.forEach(([key, value]) => {
+                    result[key] = value;
+                });
+            } else if (typeof headers.forEach === 'function') {
+                headers.forEach((value, key) => {
+                    result[key] = value;
+                });
+            } else if (typeof headers === 'object') {
+                Object.assign(result, headers);
+            }
+            return result;
+        }
+        
+        generateId() {
+            // 同一毫秒内用序号保证ID按生成顺序排序（IndexedDB按主键顺序读回）
+            idSequence = (idSequence + 1) % 1000;
+            return Date.now().toString() + String(idSequence).padStart(3, '0') + Math.random().toString(36).substring(2, 9);
+        }
+        
+        saveRequest(data) {
+            // 插件添加的字段同样经过脱敏
+            const raw = this.runPluginHook('beforeSave', data);
+            if (raw === false) return null;
+            
+            data = this.redactRecord(raw);
+            
+            if (data !== raw) {
+                this.unredactedRequests.set(data.id, {
+                    url: raw.url,
+                    requestHeaders: raw.requestHeaders,
+                    request: raw.request
+                });
+            }
+            
+            this.log('💾 保存请求:', data);
+            
+            const drift = this.trackSchema(data);
+            if (drift) {
+                data.schemaDrift = drift.changes;
+            }
+            
+            this.capturedRequests.push(data);
+            this.recordSizes.set(data.id, this.estimateRecordSize(data));
+            
+            const evictedIds = this.enforceStorageLimits();
+            this.persistRequest(data, evictedIds);
+            this.broadcast({ type: 'record', record: data });
+            this.extractRows(data);
+            
+            if (this.config.enableUI) {
+                this.updateBadgeCount();
+            }
+            
+            this.triggerEvent('requestCaptured', data);
+            this.notifyRequestSettled(data);
+            this.runPluginHook('afterSave', data);
+            
+            if (drift) {
+                if (this.config.enableUI) {
+                    this.updateDriftCount();
+                }
+                this.triggerEvent('schemaDrift', drift);
+            }
+            return data;
+        }
+        
+        updateRequest(id, changes) {
+            const index = this.capturedRequests.findIndex(item => item.id === id);
+            if (index < 0) return null;
+            
+            // 已保存的部分已经脱敏，只对本次变化的字段执行脱敏，避免每次进度更新都复制整条记录
+            const previous = this.capturedRequests[index];
+            const record = { ...previous, ...this.redactRecord(changes) };
+            // 流式接收的响应体更新后重新读取 mtop 的 ret
+            if (record.mtop && changes.response !== undefined) {
+                record.mtop = { ...record.mtop, ...this.decodeMtopRet(record.response) };
+            }
+            
+            // 先以接收中状态保存的记录在完成时才学习响应结构
+            const drift = changes.state === 'completed' && previous.state !== 'completed' ? this.trackSchema(record) : null;
+            if (drift) {
+                record.schemaDrift = drift.changes;
+            }
+            
+            this.capturedRequests[index] = record;
+            this.recordSizes.set(id, this.estimateRecordSize(record));
+            this.persistRequest(record);
+            this.broadcast({ type: 'record', record: record });
+            
+            // 流式接收的记录在完成时才提取数据
+            if (changes.state === 'completed') {
+                this.extractRows(record);
+            }
+            
+            if (this.config.enableUI) {
+                this.scheduleListRender();
+            }
+            
+            this.triggerEvent('requestUpdated', record);
+            
+            if (drift) {
+                if (this.config.enableUI) {
+                    this.updateDriftCount();
+                }
+                this.triggerEvent('schemaDrift', drift);
+            }
+            return record;
+        }
+        
+        // 保存时仍在进行的记录（如已连接的 WebSocket）在结束后再触发完成/失败事件
+        notifyRequestSettled(record) {
+            const state = record.state || 'completed';
+            if (state === 'completed') {
+                this.triggerEvent('requestCompleted', record);
+            } else if (state === 'failed' || state === 'aborted') {
+                this.triggerEvent('requestFailed', record);
+            }
+            
+            if (state !== 'pending' && state !== 'streaming' && state !== 'open') {
+                this.enqueueSinkRecord(record);
+            }
+        }
+        
+        // 捕获会话：同一 storageKey 的所有标签页共享会话列表和当前会话，跨页面跳转后继续记录到同一会话
+        // 会话结构: { id, name, startedAt, stoppedAt }
+        loadSessions() {
+            try {
+                const stored = JSON.parse(localStorage.getItem(`${this.config.storageKey}_sessions`) || 'null');
+                if (stored && Array.isArray(stored.sessions)) {
+                    return { sessions: stored.sessions, activeId: stored.activeId || null };
+                }
+            } catch (e) {
+                this.log('❌ 读取会话失败:', e);
+            }
+            return { sessions: [], activeId: null };
+        }
+        
+        saveSessions() {
+            try {
+                localStorage.setItem(`${this.config.storageKey}_sessions`, JSON.stringify(this.sessionState));
+            } catch (e) {
+                this.log('❌ 保存会话失败:', e);
+            }
+            
+            this.broadcast({ type: 'sessions' });
+            this.notifySessionsChanged();
+        }
+        
+        notifySessionsChanged() {
+            // 正在查看的会话已被其他标签页移除时回到当前会话
+            if (!['active', 'all'].includes(this.sessionView) && !this.sessionState.sessions.some(item => item.id === this.sessionView)) {
+                this.sessionView = 'active';
+            }
+
+            if (this.config.enableUI) {
+                this.renderSessionBar();
+                this.scheduleListRender();
+            }
+            
+            this.triggerEvent('sessionChanged', { sessions: this.getSessions(), activeSession: this.getActiveSession() });
+        }
+        
+        // 其他标签页可能已修改会话，修改前先读取最新状态
+        updateSessions(change) {
+            this.sessionState = this.loadSessions();
+            const result = change(this.sessionState);
+            this.saveSessions();
+            return result;
+        }
+        
+        startSession(name) {
+            const session = this.updateSessions(state => {
+                const now = new Date().toISOString();
+                state.sessions.forEach(item => {
+                    if (item.id === state.activeId) item.stoppedAt = now;
+                });
+                
+                const created = {
+                    id: `session_${this.generateId()}`,
+                    name: (name && String(name).trim()) || `会话 ${state.sessions.length + 1}`,
+                    startedAt: now,
+                    stoppedAt: null
+                };
+                state.sessions.push(created);
+                state.activeId = created.id;
+                
+                // 只保留最近的会话，记录本身仍按存储上限淘汰
+                if (state.sessions.length > MAX_SESSIONS) {
+                    state.sessions.splice(0, state.sessions.length - MAX_SESSIONS);
+                }
+                return created;
+            });
+            
+            this.sessionView = 'active';
+            this.log('🎬 开始会话:', session.name);
+            return { ...session };
+        }
+        
+        stopSession() {
+            const session = this.updateSessions(state => {
+                const active = state.sessions.find(item => item.id === state.activeId);
+                if (active) {
+                    active.stoppedAt = new Date().toISOString();
+                }
+                state.activeId = null;
+                return active || null;
+            });
+            
+            if (session) {
+                this.log('⏹️ 结束会话:', session.name);
+            }
+            return session ? { ...session } : null;
+        }
+        
+        renameSession(id, name) {
+            if (!name || !String(name).trim()) return null;
+            
+            const session = this.updateSessions(state => {
+                const target = state.sessions.find(item => item.id === id);
+                if (target) {
+                    target.name = String(name).trim();
+                }
+                return target || null;
+            });
+            return session ? { ...session } : null;
+        }
+        
+        // 切换面板显示的会话：'active' 跟随当前会话，'all' 显示全部记录，其他值为会话ID
+        switchSession(view) {
+            if (view !== 'active' && view !== 'all' && !this.sessionState.sessions.some(item => item.id === view)) {
+                return false;
+            }
+            
+            this.sessionView = view;
+            if (this.config.enableUI) {
+                this.renderSessionBar();
+                this.renderActiveTab();
+            }
+            return true;
+        }
+        
+        // 面板当前显示的会话ID，null 表示不按会话过滤
+        getViewSessionId() {
+            if (this.sessionView === 'all') return null;
+            if (this.sessionView === 'active') return this.sessionState.activeId;
+            return this.sessionView;
+        }
+        
+        getSessions() {
+            const counts = {};
+            this.capturedRequests.forEach(record => {
+                if (record.sessionId) {
+                    counts[record.sessionId] = (counts[record.sessionId] || 0) + 1;
+                }
+            });
+            
+            return this.sessionState.sessions.map(session => ({
+                ...session,
+                active: session.id === this.sessionState.activeId,
+                recordCount: counts[session.id] || 0
+            }));
+        }
+        
+        getActiveSession() {
+            return this.getSessions().find(session => session.active) || null;
+        }
+        
+        getSessionRequests(id) {
+            return this.capturedRequests.filter(record => record.sessionId === id);
+        }
+        
+        // 标签页之间通过 BroadcastChannel 同步记录和会话，每个标签页的面板都显示合并后的数据
+        initSync() {
+            if (typeof BroadcastChannel !== 'function') {
+                this.log('⚠️ 当前环境不支持 BroadcastChannel，标签页之间不会同步');
+                return;
+            }
+            
+            try {
+                this.channel = new BroadcastChannel(`${this.config.storageKey}_sync`);
+                this.channel.onmessage = (event) => this.handleSyncMessage(event.data);
+            } catch (e) {
+                this.channel = null;
+                this.log('❌ 创建同步通道失败:', e);
+            }
+        }
+        
+        destroySync() {
+            if (this.channel) {
+                this.channel.close();
+                this.channel = null;
+            }
+        }
+        
+        broadcast(message) {
+            if (!this.channel) return;
+            
+            try {
+                this.channel.postMessage({ ...message, tabId: TAB_ID, navigationId: NAVIGATION_ID });
+            } catch (e) {
+                this.log('❌ 同步到其他标签页失败:', e);
+            }
+        }
+        
+        handleSyncMessage(message) {
+            if (!message || this.destroyed) return;
+            
+            if (message.type === 'record') {
+                this.receiveRecord(message.record);
+            } else if (message.type === 'clear') {
+                this.capturedRequests = [];
+                this.recordSizes.clear();
+                this.unredactedRequests.clear();
+                if (this.config.enableUI) {
+                    this.updateBadgeCount();
+                }
+                this.triggerEvent('dataCleared');
+            } else if (message.type === 'sessions') {
+                // 消息可能晚于其他标签页的后续修改到达，以存储中的最新状态为准
+                this.sessionState = this.loadSessions();
+                this.notifySessionsChanged();
+            }
+        }
+        
+        // 其他标签页的记录已由其自身写入存储，这里只合并到内存中
+        receiveRecord(record) {
+            const index = this.capturedRequests.findIndex(item => item.id === record.id);
+            const previous = index >= 0 ? this.capturedRequests[index] : null;
+            if (index >= 0) {
+                this.capturedRequests[index] = record;
+            } else {
+                // id 以时间戳开头，按 id 插入即为捕获顺序
+                let position = this.capturedRequests.length;
+                while (position > 0 && this.capturedRequests[position - 1].id > record.id) {
+                    position--;
+                }
+                this.capturedRequests.splice(position, 0, record);
+            }
+            
+            this.recordSizes.set(record.id, this.estimateRecordSize(record));
+            this.enforceStorageLimits();
+            
+            // 其他标签页的记录同样提取到数据表，流式记录在完成时提取一次
+            if (!previous || (previous.state || 'completed') !== 'completed') {
+                this.extractRows(record);
+            }
+            
+            if (this.config.enableUI) {
+                this.updateBadgeCount();
+            }
+            this.triggerEvent('requestSynced', record);
+        }
+        
+        initSink() {
+            this.sinkState = {
+                queue: this.loadSinkQueue(),
+                timer: null,
+                saveTimer: null,
+                inFlight: null,
+                attempt: 0,
+                nextRetryAt: null,
+                lastError: null,
+                lastSuccessAt: null
+            };
+            
+            this.sinkListeners = {
+                online: () => {
+                    if (this.config.sink.enabled && this.sinkState.queue.length > 0) {
+                        this.flushSink();
+                    }
+                },
+                // 页面关闭前写入尚未保存的队列，并交给之后加载的标签页接管
+                pagehide: () => this.saveSinkQueue(true),
+                // 从往返缓存恢复时，队列可能已被其他标签页接管
+                pageshow: event => {
+                    if (event.persisted) this.reclaimSinkQueue();
+                }
+            };
+            Object.entries(this.sinkListeners).forEach(([eventName, listener]) => window.addEventListener(eventName, listener));
+            
+            if (this.sinkState.queue.length > 0) {
+                this.saveSinkQueue();
+            }
+            if (this.config.sink.enabled && this.sinkState.queue.length > 0) {
+                this.log(`📤 上次未上传的记录: ${this.sinkState.queue.length} 条`);
+                this.scheduleSinkFlush();
+            }
+        }
+        
+        destroySink() {
+            clearTimeout(this.sinkState.timer);
+            this.sinkState.timer = null;
+            Object.entries(this.sinkListeners).forEach(([eventName, listener]) => window.removeEventListener(eventName, listener));
+            this.saveSinkQueue(true);
+        }
+        
+        // 已结束的记录加入上传队列
+        enqueueSinkRecord(record) {
+            const { enabled, url, batchSize, maxQueueSize } = this.config.sink;
+            if (!enabled || !url) return;
+            
+            const state = this.sinkState;
+            state.queue.push(record);
+            const overflow = state.queue.length - maxQueueSize;
+            if (overflow > 0) {
+                state.queue.splice(0, overflow);
+                this.log(`⚠️ 上传队列已满，丢弃最早的 ${overflow} 条记录`);
+            }
+            this.scheduleSinkSave();
+            
+            // 退避等待或上传中时由当前批次结束后继续处理
+            if (state.nextRetryAt || state.inFlight) return;
+            
+            if (state.queue.length >= batchSize) {
+                clearTimeout(state.timer);
+                state.timer = null;
+                this.sendSinkBatch();
+            } else {
+                this.scheduleSinkFlush();
+            }
+        }
+        
+        scheduleSinkFlush(delay = this.config.sink.flushInterval) {
+            const state = this.sinkState;
+            if (state.timer || this.destroyed) return;
+            
+            state.timer = setTimeout(() => {
+                state.timer = null;
+                this.sendSinkBatch();
+            }, delay);
+        }
+        
+        // 立即上传队列中的记录，不等待批次间隔和退避时间；返回本批上传的条数
+        flushSink() {
+            clearTimeout(this.sinkState.timer);
+            this.sinkState.timer = null;
+            return this.sendSinkBatch();
+        }
+        
+        sendSinkBatch() {
+            const state = this.sinkState;
+            const { enabled, url, batchSize, retryDelay, maxRetryDelay } = this.config.sink;
+            if (state.inFlight) return state.inFlight;
+            if (!enabled || !url || state.queue.length === 0) return Promise.resolve(0);
+            
+            // 离线时等待 online 事件，不消耗重试次数
+            if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+                state.lastError = '网络已断开';
+                return Promise.resolve(0);
+            }
+            
+            const batch = state.queue.slice(0, batchSize);
+            const removeBatch = () => {
+                const sent = new Set(batch);
+                state.queue = state.queue.filter(record => !sent.has(record));
+                this.saveSinkQueue();
+            };
+            
+            state.inFlight = Promise.resolve()
+                .then(() => this.postSinkBatch(batch))
+                .then(() => {
+                    removeBatch();
+                    state.attempt = 0;
+                    state.nextRetryAt = null;
+                    state.lastError = null;
+                    state.lastSuccessAt = Date.now();
+                    
+                    this.log(`📤 已上传 ${batch.length} 条记录`);
+                    this.triggerEvent('sinkFlushed', { count: batch.length, queued: state.queue.length });
+                    return batch.length;
+                }, error => {
+                    // 4xx 说明数据本身被拒绝，重试也不会成功，超时和限流除外
+                    const rejected = error.status >= 400 && error.status < 500 && ![408, 429].includes(error.status);
+                    let retryIn = null;
+                    if (rejected) {
+                        removeBatch();
+                        state.attempt = 0;
+                        state.nextRetryAt = null;
+                    } else {
+                        state.attempt++;
+                        retryIn = Math.min(retryDelay * Math.pow(2, state.attempt - 1), maxRetryDelay);
+                        state.nextRetryAt = Date.now() + retryIn;
+                    }
+                    state.lastError = error.message;
+                    
+                    this.log('❌ 上传记录失败:', error.message, rejected ? '（已丢弃本批记录）' : `（${retryIn}ms 后重试）`);
+                    this.triggerEvent('sinkError', {
+                        error: error.message,
+                        status: error.status,
+                        attempt: state.attempt,
+                        retryIn: retryIn,
+                        dropped: rejected ? batch.length : 0,
+                        queued: state.queue.length
+                    });
+                    return 0;
+                })
+                .then(count => {
+                    state.inFlight = null;
+                    if (this.destroyed || state.queue.length === 0) return count;
+                    
+                    if (state.nextRetryAt) {
+                        clearTimeout(state.timer);
+                        state.timer = null;
+                        this.scheduleSinkFlush(state.nextRetryAt - Date.now());
+                    } else if (state.queue.length >= batchSize) {
+                        this.sendSinkBatch();
+                    } else {
+                        this.scheduleSinkFlush();
+                    }
+                    return count;
+                });
+            
+            return state.inFlight;
+        }
+        
+        // 收集端收到 { monitor, page, userAgent, sentAt, records }，记录可能重复上传，可按 id 去重
+        postSinkBatch(batch) {
+            const { url, headers, timeout } = this.config.sink;
+            const records = this.runPluginHook('onExport', batch, { format: 'sink' });
+            const body = JSON.stringify({
+                monitor: this.config.name,
+                page: this.redactRecord({ url: window.location.href }).url,
+                userAgent: navigator.userAgent,
+                sentAt: new Date().toISOString(),
+                records: records
+            });
+            const request = {
+                url: new URL(url, window.location.href).href,
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: body,
+                timeout: timeout
+            };
+            
+            const gmRequest = this.getSinkGMRequest();
+            const send = gmRequest ? this.postWithGM(gmRequest, request) : this.postWithFetch(request);
+            return send.then(status => {
+                if (status < 200 || status >= 300) {
+                    const error = new Error(`收集端返回 ${status}`);
+                    error.status = status;
+                    throw error;
+                }
+            });
+        }
+        
+        // transport 为 auto 时 GM_xmlhttpRequest 可用就优先使用
+        getSinkGMRequest() {
+            const { transport, xmlhttpRequest } = this.config.sink;
+            if (transport === 'fetch') return null;
+            
+            const gmRequest = xmlhttpRequest
+                || (typeof GM_xmlhttpRequest === 'function' ? GM_xmlhttpRequest : null)
+                || (typeof GM !== 'undefined' && GM && typeof GM.xmlHttpRequest === 'function' ? GM.xmlHttpRequest : null);
+            if (!gmRequest && transport === 'gm') {
+                throw new Error('GM_xmlhttpRequest 不可用，请 @grant GM_xmlhttpRequest 或通过 sink.xmlhttpRequest 传入');
+            }
+            return gmRequest;
+        }
+        
+        postWithGM(gmRequest, request) {
+            return new Promise((resolve, reject) => {
+                gmRequest({
+                    method: 'POST',
+                    url: request.url,
+                    headers: request.headers,
+                    data: request.body,
+                    timeout: request.timeout,
+                    onload: response => resolve(response.status),
+                    onerror: () => reject(new Error('网络错误')),
+                    ontimeout: () => reject(new Error('上传超时')),
+                    onabort: () => reject(new Error('上传已取消'))
+                });
+            });
+        }
+        
+        // 使用未经拦截的 fetch，上传请求不会被任何监控器捕获或改写
+        postWithFetch(request) {
+            const fetchImpl = sharedHooks.originals.fetch || window.fetch;
+            const controller = typeof AbortController === 'function' ? new AbortController() : null;
+            const timer = controller ? setTimeout(() => controller.abort(), request.timeout) : null;
+            
+            return fetchImpl.call(window, request.url, {
+                method: 'POST',
+                headers: request.headers,
+                body: request.body,
+                signal: controller ? controller.signal : undefined
+            })
+                .then(response => response.status, error => {
+                    throw new Error(error && error.name === 'AbortError' ? '上传超时' : `网络错误: ${error && error.message}`);
+                })
+                .finally(() => clearTimeout(timer));
+        }
+        
+        isSinkRequest(request) {
+            const { enabled, url } = this.config.sink;
+            if (!enabled || !url) return false;
+            
+            try {
+                const sink = new URL(url, window.location.href);
+                return request.url.split(/[?#]/)[0] === sink.origin + sink.pathname;
+            } catch (e) {
+                return false;
+            }
+        }
+        
+        getSinkStatus() {
+            const state = this.sinkState;
+            let transport = 'fetch';
+            try {
+                transport = this.getSinkGMRequest() ? 'gm' : 'fetch';
+            } catch (e) {
+                transport = null;
+            }
+            
+            return {
+                enabled: this.config.sink.enabled,
+                url: this.config.sink.url,
+                transport: transport,
+                queued: state.queue.length,
+                inFlight: !!state.inFlight,
+                attempt: state.attempt,
+                nextRetryAt: state.nextRetryAt,
+                lastError: state.lastError,
+                lastSuccessAt: state.lastSuccessAt
+            };
+        }
+        
+        // 每个标签页的队列单独保存，标签页之间不会互相覆盖或删除
+        getSinkQueueKey(tabId = TAB_ID) {
+            return `${this.config.storageKey}_sink_${tabId}`;
+        }
+        
+        // 读取当前标签页的队列，并接管已关闭标签页留下的队列；仍在运行的标签页的队列由它自己上传
+        loadSinkQueue() {
+            const prefix = `${this.config.storageKey}_sink_`;
+            const ownKey = this.getSinkQueueKey();
+            const queue = [];
+            const queuedIds = new Set();
+            
+            let keys = [];
+            try {
+                for (let i = 0; i < localStorage.length; i++) {
+                    const key = localStorage.key(i);
+                    if (key && key.startsWith(prefix) && /^tab_[a-z0-9]+$/.test(key.substring(prefix.length))) {
+                        keys.push(key);
+                    }
+                }
+            } catch (e) {
+                this.log('❌ 读取上传队列失败:', e);
+                return [];
+            }
+            
+            // 先放入当前标签页的队列；未开启上传时不接管其他标签页的队列，留给开启了上传的标签页
+            keys.sort((a, b) => (b === ownKey) - (a === ownKey)).forEach(key => {
+                try {
+                    const entry = JSON.parse(localStorage.getItem(key) || 'null');
+                    if (!entry || (key !== ownKey && (!entry.releasedAt || !this.config.sink.enabled))) return;
+                    
+                    // 读取后立即删除，其他同时加载的标签页不会重复接管
+                    localStorage.removeItem(key);
+                    (entry.records || []).forEach(record => {
+                        if (record && !queuedIds.has(record.id)) {
+                            queuedIds.add(record.id);
+                            queue.push(record);
+                        }
+                    });
+                    if (key !== ownKey) {
+                        this.log(`📤 接管已关闭标签页的上传队列: ${(entry.records || []).length} 条`);
+                    }
+                } catch (e) {
+                    this.log('❌ 读取上传队列失败:', key, e);
+                }
+            });
+            
+            return queue.slice(-this.config.sink.maxQueueSize);
+        }
+        
+        // released 表示当前标签页不再上传这些记录（页面关闭或实例销毁），其他标签页可以接管
+        saveSinkQueue(released = false) {
+            const state = this.sinkState;
+            clearTimeout(state.saveTimer);
+            state.saveTimer = null;
+            
+            const key = this.getSinkQueueKey();
+            try {
+                if (state.queue.length > 0) {
+                    localStorage.setItem(key, JSON.stringify({
+                        tabId: TAB_ID,
+                        releasedAt: released ? Date.now() : null,
+                        records: state.queue
+                    }));
+                } else {
+                    localStorage.removeItem(key);
+                }
+            } catch (e) {
+                // 超出存储配额时队列仍保留在内存中，只是刷新后无法恢复
+                state.lastError = `保存上传队列失败: ${e.message}`;
+                this.log('❌ 保存上传队列失败:', e);
+            }
+        }
+        
+        reclaimSinkQueue() {
+            const state = this.sinkState;
+            if (state.queue.length === 0) return;
+            
+            try {
+                if (localStorage.getItem(this.getSinkQueueKey()) === null) {
+                    this.log(`📤 上传队列已由其他标签页接管: ${state.queue.length} 条`);
+                    state.queue = [];
+                    return;
+                }
+            } catch (e) {
+                return;
+            }
+            this.saveSinkQueue();
+        }
+        
+        // 连续捕获时合并写入，页面关闭前由 pagehide 写入最新的队列
+        scheduleSinkSave() {
+            if (this.sinkState.saveTimer) return;
+            this.sinkState.saveTimer = setTimeout(() => this.saveSinkQueue(), this.config.sink.flushInterval);
+        }
+        
+        createStorageBackend(type) {
+            if (type === 'localStorage' || (type !== 'indexedDB' && typeof indexedDB === 'undefined')) {
+                return new LocalStorageBackend(this.config.storageKey);
+            }
+            return new IndexedDBBackend(this.config.storageKey);
+        }
+        
+        loadFromStorage() {
+            this.storage = this.createStorageBackend(this.config.storage.backend);
+            
+            return this.storage.init()
+                .catch(e => {
+                    if (this.storage.name === 'localStorage') throw e;
+                    this.log('⚠️ IndexedDB 初始化失败，回退到 localStorage:', e);
+                    this.storage = this.createStorageBackend('localStorage');
+                    return this.storage.init();
+                })
+                .then(() => this.storage.name === 'indexedDB' ? this.migrateLocalStorage() : null)
+                .then(() => this.applyStorageQuota())
+                .then(() => this.storage.loadAll(this.config.maxStoredRequests))
+                .then(records => records.map(record => {
+                    const message = INTERRUPTED_STATE_MESSAGES[record.state];
+                    if (!message) return record;
+                    return { ...record, state: 'aborted', error: { type: 'abort', message } };
+                }))
+                .then(records => {
+                    // 合并加载期间已捕获的请求
+                    const loadedIds = new Set(records.map(record => record.id));
+                    const pending = this.capturedRequests.filter(record => !loadedIds.has(record.id));
+                    this.capturedRequests = records.concat(pending);
+                    this.capturedRequests.forEach(record => {
+                        if (!this.recordSizes.has(record.id)) {
+                            this.recordSizes.set(record.id, this.estimateRecordSize(record));
+                        }
+                    });
+                    
+                    const evictedIds = this.enforceStorageLimits();
+                    if (evictedIds.length > 0) {
+                        return this.storage.remove(evictedIds, this.capturedRequests).then(() => records);
+                    }
+                    return records;
+                })
+                .then(records => {
+                    this.log(`📦 存储后端: ${this.storage.name}，已加载 ${records.length} 条记录`);
+                    
+                    if (this.config.enableUI) {
+                        this.updateBadgeCount();
+                        this.renderActiveTab();
+                    }
+                })
+                .catch(e => {
+                    this.log('❌ 从本地存储加载失败:', e);
+                });
+        }
+        
+        migrateLocalStorage() {
+            let legacy = null;
+            try {
+                const stored = localStorage.getItem(this.config.storageKey);
+                legacy = stored ? JSON.parse(stored) : null;
+            } catch (e) {
+                legacy = null;
+            }
+            
+            if (!Array.isArray(legacy) || legacy.length === 0) {
+                return null;
+            }
+            
+            return Promise.all(legacy.map(record => this.storage.put(record))).then(() => {
+                localStorage.removeItem(this.config.storageKey);
+                this.log(`📦 已从 localStorage 迁移 ${legacy.length} 条记录`);
+            });
+        }
+        
+        applyStorageQuota() {
+            this.maxStorageSize = this.config.storage.maxSize || this.storage.defaultMaxSize;
+            
+            if (this.storage.name !== 'indexedDB' || typeof navigator === 'undefined' ||
+                !navigator.storage || typeof navigator.storage.estimate !== 'function') {
+                return null;
+            }
+            
+            // 配额由同源所有数据共享，最多占用剩余可用空间的一半
+            return navigator.storage.estimate().then(({ quota, usage }) => {
+                if (quota) {
+                    const available = Math.max(0, (quota - (usage || 0)) / 2);
+                    this.maxStorageSize = Math.min(this.maxStorageSize, available + this.getStoredSize());
+                }
+            }).catch(() => null);
+        }
+        
+        estimateRecordSize(record) {
+            try {
+                return this.getByteLength(JSON.stringify(record));
+            } catch (e) {
+                return 0;
+            }
+        }
+        
+        getStoredSize() {
+            let total = 0;
+            this.recordSizes.forEach(size => {
+                total += size;
+            });
+            return total;
+        }
+        
+        // 按保留时间、数量和总大小淘汰最旧的记录，返回被淘汰的记录ID
+        enforceStorageLimits(maxSize = this.maxStorageSize || this.config.storage.maxSize || Infinity) {
+            const evicted = [];
+            const maxAge = this.config.storage.maxAge;
+            let totalSize = this.getStoredSize();
+            
+            const evictOldest = () => {
+                const record = this.capturedRequests.shift();
+                totalSize -= this.recordSizes.get(record.id) || 0;
+                this.recordSizes.delete(record.id);
+                this.unredactedRequests.delete(record.id);
+                evicted.push(record.id);
+            };
+            
+            if (maxAge > 0) {
+                const cutoff = Date.now() - maxAge;
+                while (this.capturedRequests.length > 0 && this.capturedRequests[0].timestamp &&
+                    new Date(this.capturedRequests[0].timestamp).getTime() < cutoff) {
+                    evictOldest();
+                }
+            }
+            
+            while (this.capturedRequests.length > this.config.maxStoredRequests) {
+                evictOldest();
+            }
+            
+            // 至少保留最新一条记录
+            while (this.capturedRequests.length > 1 && totalSize > maxSize) {
+                evictOldest();
+            }
+            
+            if (evicted.length > 0) {
+                this.log(`🧹 淘汰 ${evicted.length} 条旧记录`);
+            }
+            
+            return evicted;
+        }
+        
+        isQuotaError(e) {
+            return !!e && (e.name === 'QuotaExceededError' || e.name === 'NS_ERROR_DOM_QUOTA_REACHED' || e.code === 22);
+        }
+        
+        persistRequest(record, evictedIds = []) {
+            this.storageReady = this.storageReady
+                .then(() => evictedIds.length > 0 ? this.storage.remove(evictedIds, this.capturedRequests) : null)
+                .then(() => this.storage.put(record, this.capturedRequests))
+                .catch(e => {
+                    if (!this.isQuotaError(e)) throw e;
+                    
+                    // 配额不足时把上限收紧到当前用量的四分之三，淘汰旧数据后重试一次
+                    this.maxStorageSize = Math.floor(this.getStoredSize() * 3 / 4);
+                    const ids = this.enforceStorageLimits();
+                    this.log('⚠️ 存储空间不足，已淘汰旧记录后重试');
+                    this.triggerEvent('storageFull', {
+                        ...this.getStorageInfo(),
+                        evicted: ids.length,
+                        error: e.message || String(e)
+                    });
+                    return this.storage.remove(ids, this.capturedRequests)
+                        .then(() => this.recordSizes.has(record.id) ? this.storage.put(record, this.capturedRequests) : null);
+                })
+                .catch(e => {
+                    this.log('❌ 保存到本地存储失败:', e);
+                });
+            
+            return this.storageReady;
+        }
+        
+        clear() {
+            this.capturedRequests = [];
+            this.recordSizes.clear();
+            this.unredactedRequests.clear();
+            this.broadcast({ type: 'clear' });
+            this.storageReady = this.storageReady
+                .then(() => this.storage.clear())
+                .catch(e => {
+                    this.log('❌ 清空本地存储失败:', e);
+                });
+            
+            if (this.config.enableUI) {
+                this.updateBadgeCount();
+                this.renderActiveTab();
+            }
+            
+            this.triggerEvent('dataCleared');
+        }
+        
+        // 敏感数据脱敏，在保存前和导出时各执行一次
+        // 规则结构:
+        //   { type: 'header', name: 'cookie', action: 'mask' }                  // 请求头/响应头，name 可为字符串、数组、正则或函数
+        //   { type: 'query', name: ['sign', 'token'], action: 'hash' }          // URL 查询参数
+        //   { type: 'jsonPath', path: '$.data.*.mobile', target: 'response' }   // 请求体/响应体，支持 a.b、[0]、[*]、.*、..key
+        //   { type: 'pattern', pattern: /1\d{10}/, action: 'mask' }             // URL、请求头值和请求/响应体中所有字符串
+        // action: mask 替换为掩码，hash 替换为哈希值（相同的值哈希相同，便于关联），drop 直接删除
+        // target: request | response | both（默认）
+        redactRecord(record) {
+            const { enabled, rules = [] } = this.config.redaction || {};
+            if (!enabled || rules.length === 0 || !record) {
+                return record;
+            }
+            
+            const result = this.snapshotData(record);
+            rules.forEach(rule => {
+                try {
+                    this.applyRedactionRule(rule, result);
+                } catch (e) {
+                    this.log('❌ 脱敏规则执行出错:', rule, e);
+                }
+            });
+            return result;
+        }
+        
+        getExportRecords() {
+            return this.capturedRequests.map(record => this.redactRecord(record));
+        }
+        
+        getRedaction() {
+            return this.config.redaction;
+        }
+        
+        setRedaction(redaction = {}) {
+            this.config.redaction = { ...this.config.redaction, ...redaction };
+            this.notifyConfigChanged({ redaction });
+            return this.config.redaction;
+        }
+        
+        applyRedactionRule(rule, record) {
+            const action = rule.action || 'mask';
+            const target = rule.target || 'both';
+            const requestSide = target !== 'response';
+            const responseSide = target !== 'request';
+            
+            switch (rule.type) {
+                case 'header':
+                    if (requestSide && record.requestHeaders) {
+                        record.requestHeaders = this.redactHeaders(record.requestHeaders, rule, action);
+                    }
+                    if (responseSide && record.responseHeaders) {
+                        record.responseHeaders = this.redactHeaders(record.responseHeaders, rule, action);
+                    }
+                    break;
+                    
+                case 'query':
+                    if (requestSide && typeof record.url === 'string') {
+                        record.url = this.redactQuery(record.url, rule, action);
+                    }
+                    if (requestSide && record.mtop) {
+                        this.redactMtop(record.mtop, rule, action);
+                    }
+                    // 页面URL中的参数同样可能含有令牌
+                    if (requestSide && record.page && typeof record.page.url === 'string') {
+                        record.page.url = this.redactQuery(record.page.url, rule, action);
+                    }
+                    break;
+                    
+                case 'jsonPath': {
+                    const tokens = this.parseJSONPath(rule.path);
+                    if (requestSide) this.redactJSONPath(record, 'request', tokens, action, rule);
+                    if (responseSide) this.redactJSONPath(record, 'response', tokens, action, rule);
+                    break;
+                }
+                    
+                case 'pattern':
+                    if (requestSide) {
+                        if (typeof record.url === 'string') {
+                            record.url = this.redactText(record.url, rule, action);
+                        }
+                        if (record.page && typeof record.page.url === 'string') {
+                            record.page.url = this.redactText(record.page.url, rule, action);
+                        }
+                        if (record.requestHeaders) {
+                            record.requestHeaders = this.redactHeaderValues(record.requestHeaders, rule, action);
+                        }
+                        record.request = this.redactStrings(record.request, rule, action);
+                        if (record.mtop && record.mtop.params !== undefined) {
+                            record.mtop.params = this.redactStrings(record.mtop.params, rule, action);
+                        }
+                    }
+                    if (responseSide) {
+                        if (record.responseHeaders) {
+                            record.responseHeaders = this.redactHeaderValues(record.responseHeaders, rule, action);
+                        }
+                        record.response = this.redactStrings(record.response, rule, action);
+                    }
+                    if (Array.isArray(record.frames)) {
+                        record.frames.forEach(frame => {
+                            if (frame.direction === 'sent' ? requestSide : responseSide) {
+                                frame.data = this.redactStrings(frame.data, rule, action);
+                            }
+                        });
+                    }
+                    break;
+                    
+                default:
+                    this.log('⚠️ 未知的脱敏规则类型:', rule.type);
+            }
+        }
+        
+        matchName(matcher, name) {
+            if (Array.isArray(matcher)) {
+                return matcher.some(item => this.matchName(item, name));
+            }
+            
+            if (typeof matcher === 'string') {
+                return matcher.toLowerCase() === String(name).toLowerCase();
+            }
+            
+            return this.matchPattern(matcher, name, name);
+        }
+        
+        redactValue(value, action, rule) {
+            if (action === 'hash') {
+                const text = String(value);
+                return /^hash:[0-9a-f]+$/.test(text) ? text : `hash:${this.hashValue(text)}`;
+            }
+            
+            return rule.mask !== undefined ? rule.mask : (this.config.redaction.mask || '******');
+        }
+        
+        // 非加密哈希（cyrb53），只用于在脱敏后关联相同的值
+        hashValue(text) {
+            const input = `${this.config.redaction.salt || ''}${text}`;
+            let h1 = 0xdeadbeef;
+            let h2 = 0x41c6ce57;
+            for (let i = 0; i < input.length; i++) {
+                const ch = input.charCodeAt(i);
+                h1 = Math.imul(h1 ^ ch, 2654435761);
+                h2 = Math.imul(h2 ^ ch, 1597334677);
+            }
+            h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+            h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+            return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+        }
+        
+        redactHeaders(headers, rule, action) {
+            // XHR 响应头是原始字符串，按行处理
+            if (typeof headers === 'string') {
+                return headers.split(/\r?\n/).reduce((lines, line) => {
+                    const index = line.indexOf(':');
+                    if (index > 0 && this.matchName(rule.name, line.slice(0, index).trim())) {
+                        if (action !== 'drop') {
+                            lines.push(`${line.slice(0, index)}: ${this.redactValue(line.slice(index + 1).trim(), action, rule)}`);
+                        }
+                    } else {
+                        lines.push(line);
+                    }
+                    return lines;
+                }, []).join('\r\n');
+            }
+            
+            const result = {};
+            Object.entries(headers).forEach(([name, value]) => {
+                if (!this.matchName(rule.name, name)) {
+                    result[name] = value;
+                } else if (action !== 'drop') {
+                    result[name] = this.redactValue(value, action, rule);
+                }
+            });
+            return result;
+        }
+        
+        redactHeaderValues(headers, rule, action) {
+            if (typeof headers === 'string') {
+                return this.redactText(headers, rule, action);
+            }
+            
+            const result = {};
+            Object.entries(headers).forEach(([name, value]) => {
+                result[name] = this.redactText(String(value), rule, action);
+            });
+            return result;
+        }
+        
+        // 逐个处理查询参数，未命中的参数保持原始编码不变
+        redactQuery(url, rule, action) {
+            const hashIndex = url.indexOf('#');
+            const fragment = hashIndex >= 0 ? url.slice(hashIndex) : '';
+            const base = hashIndex >= 0 ? url.slice(0, hashIndex) : url;
+            const queryIndex = base.indexOf('?');
+            if (queryIndex < 0) return url;
+            
+            const params = base.slice(queryIndex + 1).split('&').reduce((result, param) => {
+                const index = param.indexOf('=');
+                const rawName = index >= 0 ? param.slice(0, index) : param;
+                let name = rawName;
+                try {
+                    name = decodeURIComponent(rawName.replace(/\+/g, ' '));
+                } catch (e) {
+                    // 保留无法解码的参数名
+                }
+                
+                if (!param || !this.matchName(rule.name, name)) {
+                    result.push(param);
+                } else if (action !== 'drop') {
+                    let value = index >= 0 ? param.slice(index + 1) : '';
+                    try {
+                        value = decodeURIComponent(value.replace(/\+/g, ' '));
+                    } catch (e) {
+                        // 使用原始值计算
+                    }
+                    result.push(`${rawName}=${encodeURIComponent(this.redactValue(value, action, rule))}`);
+                }
+                return result;
+            }, []);
+            
+            const query = params.join('&');
+            return base.slice(0, queryIndex) + (query ? `?${query}` : '') + fragment;
+        }
+        
+        redactText(text, rule, action) {
+            if (typeof text !== 'string' || !rule.pattern) return text;
+            
+            const source = Object.prototype.toString.call(rule.pattern) === '[object RegExp]'
+                ? rule.pattern
+                : new RegExp(String(rule.pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+            const flags = source.flags.includes('g') ? source.flags : `${source.flags}g`;
+            
+            return text.replace(new RegExp(source.source, flags), match => (action === 'drop' ? '' : this.redactValue(match, action, rule)));
+        }
+        
+        redactStrings(value, rule, action) {
+            if (typeof value === 'string') {
+                return this.redactText(value, rule, action);
+            }
+            
+            if (Array.isArray(value)) {
+                return value.map(item => this.redactStrings(item, rule, action));
+            }
+            
+            if (value && typeof value === 'object') {
+                Object.keys(value).forEach(key => {
+                    value[key] = this.redactStrings(value[key], rule, action);
+                });
+            }
+            
+            return value;
+        }
+        
+        // 解析 $.a.b[0]['c'][*].* 和 $..key 形式的路径
+        parseJSONPath(path) {
+            const tokens = [];
+            const source = String(path || '').trim().replace(/^\$/, '');
+            const pattern = /\.\.([^.[\]]+)|\.?\[(\d+|\*|'[^']*'|"[^"]*")\]|\.?([^.[\]]+)/g;
+            let match;
+            
+            while ((match = pattern.exec(source)) !== null) {
+                if (match[1] !== undefined) {
+                    tokens.push({ key: match[1], recursive: true });
+                } else if (match[2] !== undefined) {
+                    const key = match[2].replace(/^['"]|['"]$/g, '');
+                    tokens.push(key === '*' && match[2] === '*' ? { wildcard: true } : { key });
+                } else if (match[3] === '*') {
+                    tokens.push({ wildcard: true });
+                } else {
+                    tokens.push({ key: match[3] });
+                }
+            }
+            
+            return tokens;
+        }
+        
+        // 按 parseJSONPath 的路径取值，返回所有匹配的值
+        queryJSONPath(value, path) {
+            let nodes = [value];
+            
+            this.parseJSONPath(path).forEach(token => {
+                const next = [];
+                const collect = (node) => {
+                    if (!node || typeof node !== 'object') return;
+                    Object.keys(node).forEach(key => {
+                        if (key === token.key) next.push(node[key]);
+                        collect(node[key]);
+                    });
+                };
+                
+                nodes.forEach(node => {
+                    if (!node || typeof node !== 'object') return;
+                    
+                    if (token.recursive) {
+                        collect(node);
+                    } else if (token.wildcard) {
+                        next.push(...Object.values(node));
+                    } else if (Object.prototype.hasOwnProperty.call(node, token.key)) {
+                        next.push(node[token.key]);
+                    }
+                });
+                nodes = next;
+            });
+            
+            return nodes;
+        }
+        
+        redactJSONPath(holder, rootKey, tokens, action, rule) {
+            if (tokens.length === 0) return;
+            
+            const apply = (parent, key, index) => {
+                if (index === tokens.length - 1) {
+                    if (action === 'drop') {
+                        return true;
+                    }
+                    parent[key] = this.redactValue(parent[key], action, rule);
+                    return false;
+                }
+                visit(parent[key], index + 1);
+                return false;
+            };
+            
+            // 返回 true 表示需要删除该属性，数组元素在遍历结束后统一移除
+            const visit = (node, index) => {
+                if (!node || typeof node !== 'object') return;
+                
+                const token = tokens[index];
+                const removed = [];
+                
+                Object.keys(node).forEach(key => {
+                    if (token.recursive) {
+                        if (key === token.key && apply(node, key, index)) {
+                            removed.push(key);
+                        } else {
+                            visit(node[key], index);
+                        }
+                    } else if ((token.wildcard || key === String(token.key)) && apply(node, key, index)) {
+                        removed.push(key);
+                    }
+                });
+                
+                if (Array.isArray(node)) {
+                    removed.map(Number).sort((a, b) => b - a).forEach(item => node.splice(item, 1));
+                } else {
+                    removed.forEach(key => delete node[key]);
+                }
+            };
+            
+            visit(holder[rootKey], 0);
+        }
+        
+        // 根据记录生成可在浏览器外重放的代码片段，format: curl | fetch | node | python
+        // 代码片段会离开页面（剪贴板、工单等），始终按脱敏规则生成，被脱敏的值需要手动补全
+        toSnippet(id, format = 'curl') {
+            const record = typeof id === 'object' ? id : this.capturedRequests.find(item => item.id === id);
+            if (!record) {
+                this.log('⚠️ 记录不存在:', id);
+                return null;
+            }
+            
+            const request = this.buildReplayableRequest(this.redactRecord(record));
+            const generator = SNIPPET_FORMATS[format];
+            if (!generator) {
+                throw new Error(`不支持的代码片段格式: ${format}`);
+            }
+            
+            return this[generator](request);
+        }
+        
+        copySnippet(id, format = 'curl') {
+            let snippet;
+            try {
+                snippet = this.toSnippet(id, format);
+            } catch (e) {
+                return Promise.reject(e);
+            }
+            if (snippet === null) {
+                return Promise.resolve(false);
+            }
+            
+            return this.copyToClipboard(snippet).then(() => {
+                this.log(`📋 已复制 ${format} 代码片段`);
+                return true;
+            });
+        }
+        
+        // 还原请求的绝对URL、方法、请求头和请求体
+        buildReplayableRequest(record) {
+            const method = !record.method || record.method === 'UNKNOWN' ? 'GET' : String(record.method).toUpperCase();
+            const headers = {};
+            const recordedHeaders = record.requestHeaders && typeof record.requestHeaders === 'object' ? record.requestHeaders : {};
+            Object.entries(recordedHeaders).forEach(([name, value]) => {
+                headers[name] = String(value);
+            });
+            
+            let body = null;
+            let formFields = null;
+            const hasBody = record.request !== undefined && record.request !== null && !/^(GET|HEAD)$/.test(method);
+            
+            if (hasBody && record.requestBodyType === 'formdata' && typeof record.request === 'object') {
+                formFields = [];
+                Object.entries(record.request).forEach(([name, value]) => {
+                    [].concat(value).forEach(item => formFields.push([name, String(item)]));
+                });
+            } else if (hasBody && record.requestBodyType === 'urlencoded' && typeof record.request === 'object') {
+                const params = new URLSearchParams();
+                Object.entries(record.request).forEach(([name, value]) => {
+                    [].concat(value).forEach(item => params.append(name, String(item)));
+                });
+                body = params.toString();
+            } else if (hasBody) {
+                body = typeof record.request === 'string' ? record.request : JSON.stringify(record.request);
+            }
+            
+            // 浏览器会为未显式设置类型的请求体自动补充 Content-Type
+            const hasContentType = Object.keys(headers).some(name => name.toLowerCase() === 'content-type');
+            if (body !== null && !hasContentType) {
+                headers['content-type'] = record.requestBodyType === 'urlencoded'
+                    ? 'application/x-www-form-urlencoded;charset=UTF-8'
+                    : 'text/plain;charset=UTF-8';
+            }
+            
+            return {
+                method: method,
+                url: this.resolveURL(record.url),
+                headers: headers,
+                body: body,
+                formFields: formFields
+            };
+        }
+        
+        quoteShell(text) {
+            return `'${String(text).replace(/'/g, `'\\''`)}'`;
+        }
+        
+        toCurlSnippet(request) {
+            const parts = [`curl ${this.quoteShell(request.url)}`];
+            if (request.method !== 'GET' || request.body !== null || request.formFields) {
+                parts.push(`-X ${request.method}`);
+            }
+            
+            Object.entries(request.headers).forEach(([name, value]) => {
+                parts.push(`-H ${this.quoteShell(`${name}: ${value}`)}`);
+            });
+            
+            if (request.formFields) {
+                request.formFields.forEach(([name, value]) => {
+                    parts.push(`--form-string ${this.quoteShell(`${name}=${value}`)}`);
+                });
+            } else if (request.body !== null) {
+                parts.push(`--data-raw ${this.quoteShell(request.body)}`);
+            }
+            
+            return parts.join(' \\\n  ');
+        }
+        
+        buildJSFetchOptions(request, indent) {
+            const lines = [`${indent}method: ${JSON.stringify(request.method)}`];
+            const headerLines = Object.entries(request.headers)
+                .map(([name, value]) => `${indent}    ${JSON.stringify(name)}: ${JSON.stringify(value)}`);
+            
+            if (headerLines.length > 0) {
+                lines.push(`${indent}headers: {\n${headerLines.join(',\n')}\n${indent}}`);
+            }
+            
+            if (request.formFields) {
+                lines.push(`${indent}body: form`);
+            } else if (request.body !== null) {
+                lines.push(`${indent}body: ${JSON.stringify(request.body)}`);
+            }
+            
+            return lines.join(',\n');
+        }
+        
+        buildJSFormData(request) {
+            if (!request.formFields) return '';
+            
+            const appends = request.formFields
+                .map(([name, value]) => `form.append(${JSON.stringify(name)}, ${JSON.stringify(value)});`)
+                .join('\n');
+            return `const form = new FormData();\n${appends}\n\n`;
+        }
+        
+        toFetchSnippet(request) {
+            return `${this.buildJSFormData(request)}fetch(${JSON.stringify(request.url)}, {\n` +
+                `${this.buildJSFetchOptions(request, '    ')}\n` +
+                '})\n' +
+                '    .then(response => response.text())\n' +
+                '    .then(text => console.log(text));';
+        }
+        
+        toNodeSnippet(request) {
+            const imports = request.formFields ? '{ request, FormData }' : '{ request }';
+            return `import ${imports} from 'undici';\n\n` +
+                `${this.buildJSFormData(request)}const { statusCode, headers, body } = await request(${JSON.stringify(request.url)}, {\n` +
+                `${this.buildJSFetchOptions(request, '    ')}\n` +
+                '});\n\n' +
+                'console.log(statusCode, headers);\n' +
+                'console.log(await body.text());';
+        }
+        
+        toPythonSnippet(request) {
+            // JSON 字符串字面量同样是合法的 Python 字符串
+            const pyString = (value) => JSON.stringify(String(value));
+            const lines = ['import requests', ''];
+            
+            const headerLines = Object.entries(request.headers)
+                .map(([name, value]) => `    ${pyString(name)}: ${pyString(value)},`);
+            lines.push(headerLines.length > 0 ? `headers = {\n${headerLines.join('\n')}\n}` : 'headers = {}');
+            
+            const args = [pyString(request.method), pyString(request.url), 'headers=headers'];
+            if (request.formFields) {
+                const fieldLines = request.formFields
+                    .map(([name, value]) => `    (${pyString(name)}, (None, ${pyString(value)})),`);
+                lines.push(`files = [\n${fieldLines.join('\n')}\n]`);
+                args.push('files=files');
+            } else if (request.body !== null) {
+                lines.push(`data = ${pyString(request.body)}.encode("utf-8")`);
+                args.push('data=data');
+            }
+            
+            lines.push('', `response = requests.request(${args.join(', ')})`, 'print(response.status_code)', 'print(response.text)');
+            return lines.join('\n');
+        }
+        
+        copyToClipboard(text) {
+            if (typeof navigator !== 'undefined' && navigator.clipboard && typeof navigator.clipboard.writeText === 'function') {
+                return navigator.clipboard.writeText(text).catch(() => this.copyWithTextarea(text));
+            }
+            return this.copyWithTextarea(text);
+        }
+        
+        copyWithTextarea(text) {
+            return new Promise((resolve, reject) => {
+                const textarea = document.createElement('textarea');
+                textarea.value = text;
+                textarea.style.cssText = 'position: fixed; top: -1000px; opacity: 0;';
+                document.body.appendChild(textarea);
+                textarea.select();
+                
+                try {
+                    const copied = document.execCommand('copy');
+                    document.body.removeChild(textarea);
+                    copied ? resolve() : reject(new Error('复制失败'));
+                } catch (e) {
+                    document.body.removeChild(textarea);
+                    reject(e);
+                }
+            });
+        }
+        
+        // 通过页面的 XHR/fetch 重新发送记录中的请求，结果作为关联原记录的新条目保存
+        replay(id, overrides = {}) {
+            const record = id && typeof id === 'object' ? id : this.capturedRequests.find(item => item.id === id);
+            if (!record) {
+                return Promise.reject(new Error(`记录不存在: ${id}`));
+            }
+            
+            if (CONNECTION_TYPES.includes(record.type)) {
+                return Promise.reject(new Error(`${record.type} 连接记录不支持重放`));
+            }
+            
+            if (!this.isMonitoring) {
+                return Promise.reject(new Error('监控器未运行，无法记录重放结果'));
+            }
+            
+            let request;
+            try {
+                request = this.buildReplayRequest(record, overrides);
+            } catch (e) {
+                return Promise.reject(e);
+            }
+            this.log(`🔁 重放请求: ${request.method} ${request.url}`);
+            
+            return new Promise((resolve, reject) => {
+                // beforeSave 插件拦截时没有新记录可返回
+                const onSaved = saved => saved ? resolve(saved) : reject(new Error('重放结果被插件拦截（beforeSave），未生成记录'));
+                const replay = { monitor: this, id: record.id, claimed: false, onSaved, onError: reject };
+                
+                try {
+                    if (record.type === 'xhr') {
+                        this.sendReplayXHR(request, replay);
+                    } else {
+                        this.sendReplayFetch(request, replay);
+                    }
+                } catch (e) {
+                    reject(e);
+                }
+            });
+        }
+        
+        // 只认领由当前实例发起的重放，其他实例把它当作普通请求
+        getOwnReplay(key) {
+            const replay = replaySources.get(key);
+            if (!replay || replay.monitor !== this) return undefined;
+            
+            replay.claimed = true;
+            return replay;
+        }
+        
+        // 请求结束时仍未经过当前实例（如被其他实例的模拟规则直接响应），不会生成记录
+        rejectUnclaimedReplay(replay) {
+            if (!replay.claimed) {
+                replay.onError(new Error('重放请求未经过当前监控器（可能被其他监控器的规则直接响应），未生成记录'));
+            }
+        }
+        
+        isRedactedValue(value) {
+            const redaction = this.config.redaction;
+            const masks = [redaction.mask || '******'].concat((redaction.rules || []).map(rule => rule.mask).filter(Boolean));
+            return masks.includes(value) || /^hash:[0-9a-f]+$/.test(value);
+        }
+        
+        buildReplayRequest(record, overrides) {
+            // 本页捕获的记录用脱敏前的请求重放；从存储加载或其他标签页同步来的记录只有脱敏后的数据
+            const raw = this.unredactedRequests.get(record.id);
+            const base = this.buildReplayableRequest(raw ? { ...record, ...raw } : record);
+            const context = { ...base, record };
+            
+            // 签名等查询参数被脱敏后请求必然失败，提前说明原因
+            if (!raw && overrides.url === undefined) {
+                const masked = [];
+                try {
+                    new URL(base.url).searchParams.forEach((value, name) => {
+                        if (this.isRedactedValue(value)) masked.push(name);
+                    });
+                } catch (e) {
+                    // URL 无法解析时按原样发送
+                }
+                if (masked.length > 0) {
+                    throw new Error(`查询参数 ${masked.join(', ')} 的值已脱敏，无法重放；脱敏前的请求只在捕获它的页面内保留，可通过 overrides.url 指定完整 URL`);
+                }
+            }
+            
+            // 已脱敏的请求头无法还原，发送占位值只会让请求失败
+            const headers = {};
+            Object.entries(base.headers).forEach(([name, value]) => {
+                if (this.isRedactedValue(value)) {
+                    this.log(`⚠️ 请求头 ${name} 已脱敏，重放时忽略`);
+                    return;
+                }
+                headers[name] = value;
+            });
+            
+            const request = {
+                method: base.method,
+                url: base.url,
+                headers: headers,
+                body: base.body,
+                credentials: overrides.credentials || 'include'
+            };
+            
+            if (base.formFields) {
+                request.body = new FormData();
+                base.formFields.forEach(([name, value]) => request.body.append(name, value));
+            }
+            
+            if (overrides.method !== undefined) {
+                request.method = String(this.resolveRuleValue(overrides.method, request.method, context)).toUpperCase();
+            }
+            
+            if (overrides.url !== undefined) {
+                request.url = this.resolveURL(String(this.resolveRuleValue(overrides.url, request.url, context)));
+            }
+            
+            request.headers = this.mergeRuleHeaders(request.headers, overrides.headers, context);
+            
+            if (overrides.body !== undefined) {
+                const current = typeof overrides.body === 'function' ? record.request : request.body;
+                request.body = this.serializeRuleBody(this.resolveRuleValue(overrides.body, current, context));
+            }
+            
+            if (/^(GET|HEAD)$/.test(request.method) || request.body === undefined) {
+                request.body = null;
+            }
+            
+            return request;
+        }
+        
+        sendReplayXHR(request, replay) {
+            const xhr = new window.XMLHttpRequest();
+            replaySources.set(xhr, replay);
+            xhr.addEventListener('loadend', () => this.rejectUnclaimedReplay(replay));
+            xhr.open(request.method, request.url, true);
+            xhr.withCredentials = request.credentials === 'include';
+            
+            Object.entries(request.headers).forEach(([name, value]) => {
+                try {
+                    xhr.setRequestHeader(name, value);
+                } catch (e) {
+                    this.log(`⚠️ 无法设置请求头 ${name}:`, e);
+                }
+            });
+            
+            xhr.send(request.body);
+        }
+        
+        sendReplayFetch(request, replay) {
+            const init = {
+                method: request.method,
+                headers: request.headers,
+                credentials: request.credentials
+            };
+            
+            if (request.body !== null) {
+                init.body = request.body;
+            }
+            
+            replaySources.set(init, replay);
+            // 请求失败时同样会生成记录，这里不再向外抛出
+            window.fetch(request.url, init)
+                .catch(() => {})
+                .then(() => this.rejectUnclaimedReplay(replay));
+        }
+        
+        // 对比两条记录的请求参数、请求体、响应体和请求/响应头
+        diff(idA, idB) {
+            const find = (id) => id && typeof id === 'object' ? id : this.capturedRequests.find(item => item.id === id);
+            const a = find(idA);
+            const b = find(idB);
+            if (!a || !b) {
+                throw new Error(`记录不存在: ${!a ? idA : idB}`);
+            }
+            
+            const sections = {};
+            Object.entries(DIFF_SECTIONS).forEach(([section, pick]) => {
+                const changes = [];
+                this.diffValues(this[pick](a, section), this[pick](b, section), '$', changes);
+                sections[section] = changes;
+            });
+            
+            const summary = { added: 0, removed: 0, changed: 0 };
+            Object.values(sections).forEach(changes => {
+                changes.forEach(change => summary[change.type]++);
+            });
+            
+            return {
+                a: { id: a.id, method: a.method, url: a.url, status: a.status },
+                b: { id: b.id, method: b.method, url: b.url, status: b.status },
+                sections: sections,
+                summary: summary
+            };
+        }
+        
+        getDiffQuery(record) {
+            const result = {};
+            try {
+                new URL(this.resolveURL(record.url)).searchParams.forEach((value, name) => {
+                    result[name] = name in result ? [].concat(result[name], value) : value;
+                });
+            } catch (e) {
+                // 无法解析的URL没有查询参数
+            }
+            return result;
+        }
+        
+        getDiffBody(record, section) {
+            const value = record[section];
+            return value === undefined ? null : value;
+        }
+        
+        getDiffHeaders(record, section) {
+            // 请求头名称大小写不敏感，统一转为小写再比较
+            const result = {};
+            this.toHARHeaders(record[section]).forEach(({ name, value }) => {
+                result[name.toLowerCase()] = value;
+            });
+            return result;
+        }
+        
+        diffValues(before, after, path, changes) {
+            // 内容为 JSON 的字符串参数（如 mtop 的 data）按结构继续比较
+            const parsedBefore = this.parseDiffString(before);
+            const parsedAfter = this.parseDiffString(after);
+            if (parsedBefore !== before && parsedAfter !== after) {
+                return this.diffValues(parsedBefore, parsedAfter, path, changes);
+            }
+            
+            const isContainer = value => value !== null && typeof value === 'object';
+            if (isContainer(before) && isContainer(after) && Array.isArray(before) === Array.isArray(after)) {
+                const keys = Array.isArray(before)
+                    ? Array.from({ length: Math.max(before.length, after.length) }, (item, index) => index)
+                    : Array.from(new Set(Object.keys(before).concat(Object.keys(after))));
+                
+                keys.forEach(key => {
+                    const childPath = this.formatDiffPath(path, key);
+                    const hasBefore = Object.prototype.hasOwnProperty.call(before, key);
+                    const hasAfter = Object.prototype.hasOwnProperty.call(after, key);
+                    
+                    if (!hasAfter) {
+                        changes.push({ path: childPath, type: 'removed', before: before[key] });
+                    } else if (!hasBefore) {
+                        changes.push({ path: childPath, type: 'added', after: after[key] });
+                    } else {
+                        this.diffValues(before[key], after[key], childPath, changes);
+                    }
+                });
+                return changes;
+            }
+            
+            if (JSON.stringify(before) !== JSON.stringify(after)) {
+                changes.push({ path: path, type: 'changed', before: before, after: after });
+            }
+            return changes;
+        }
+        
+        parseDiffString(value) {
+            if (typeof value !== 'string' || !/^\s*[[{]/.test(value)) return value;
+            
+            try {
+                return JSON.parse(value);
+            } catch (e) {
+                return value;
+            }
+        }
+        
+        formatDiffPath(path, key) {
+            if (typeof key === 'number') return `${path}[${key}]`;
+            return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+        }
+        
+        // 接口维度 = 请求方法 + 归一化路径，路径中的ID类片段替换为占位符
+        getEndpoint(record) {
+            const method = record.method || 'GET';
+            let pathname = String(record.path || '').split(/[?#]/)[0];
+            try {
+                pathname = new URL(this.resolveURL(record.url)).pathname;
+            } catch (e) {
+                // 使用记录中的路径
+            }
+            const path = this.normalizeEndpointPath(pathname);
+            return { key: `${method} ${path}`, method: method, path: path };
+        }
+        
+        normalizeEndpointPath(path) {
+            return String(path || '/').split('/').map(segment => {
+                if (/^\d+$/.test(segment)) return '{id}';
+                if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(segment)) return '{uuid}';
+                if (/^[0-9a-f]{16,}$/i.test(segment) && /\d/.test(segment)) return '{hash}';
+                return segment;
+            }).join('/');
+        }
+        
+        inferSchema(value) {
+            if (value === null) return { type: 'null' };
+            
+            if (Array.isArray(value)) {
+                const schema = { type: 'array' };
+                value.forEach(item => {
+                    const itemSchema = this.inferSchema(item);
+                    schema.items = schema.items ? this.mergeSchema(schema.items, itemSchema) : itemSchema;
+                });
+                return schema;
+            }
+            
+            if (typeof value === 'object') {
+                const properties = {};
+                Object.keys(value).forEach(key => {
+                    properties[key] = this.inferSchema(value[key]);
+                });
+                return { type: 'object', properties: properties, required: Object.keys(value) };
+            }
+            
+            return { type: typeof value };
+        }
+        
+        getSchemaTypes(schema) {
+            return [].concat(schema.type);
+        }
+        
+        // 合并两个样本的结构：类型取并集，必有字段取交集
+        mergeSchema(a, b) {
+            const types = Array.from(new Set(this.getSchemaTypes(a).concat(this.getSchemaTypes(b)))).sort();
+            const merged = { type: types.length === 1 ? types[0] : types };
+            
+            if (a.properties || b.properties) {
+                merged.properties = { ...a.properties };
+                Object.entries(b.properties || {}).forEach(([key, schema]) => {
+                    merged.properties[key] = merged.properties[key] ? this.mergeSchema(merged.properties[key], schema) : schema;
+                });
+                
+                const required = a.required && b.required
+                    ? a.required.filter(key => b.required.includes(key))
+                    : a.required || b.required;
+                merged.required = required;
+            }
+            
+            if (a.items || b.items) {
+                merged.items = a.items && b.items ? this.mergeSchema(a.items, b.items) : a.items || b.items;
+            }
+            
+            return merged;
+        }
+        
+        compareSchema(learned, sample, path, changes) {
+            const learnedTypes = this.getSchemaTypes(learned);
+            const sampleTypes = this.getSchemaTypes(sample);
+            const newTypes = sampleTypes.filter(type => !learnedTypes.includes(type));
+            
+            if (newTypes.length > 0) {
+                changes.push({ path: path, type: 'typeChanged', expected: learned.type, actual: sample.type });
+            }
+            
+            if (learned.properties && sample.properties) {
+                Object.keys(sample.properties).forEach(key => {
+                    const childPath = this.formatDiffPath(path, key);
+                    if (!learned.properties[key]) {
+                        changes.push({ path: childPath, type: 'added', actual: sample.properties[key].type });
+                    } else {
+                        this.compareSchema(learned.properties[key], sample.properties[key], childPath, changes);
+                    }
+                });
+                
+                (learned.required || []).forEach(key => {
+                    if (!sample.properties[key]) {
+                        changes.push({ path: this.formatDiffPath(path, key), type: 'removed', expected: learned.properties[key].type });
+                    }
+                });
+            }
+            
+            if (learned.items && sample.items) {
+                this.compareSchema(learned.items, sample.items, `${path}[*]`, changes);
+            }
+            
+            return changes;
+        }
+        
+        // 只用成功的 JSON 响应学习结构，失败响应和模拟响应的结构不代表接口契约
+        isSchemaSample(record) {
+            const successful = record.status === undefined || record.status === 0 || (record.status >= 200 && record.status < 300);
+            return (record.state || 'completed') === 'completed' && successful && !record.mocked &&
+                !this.isMtopFailure(record) && record.response !== null && typeof record.response === 'object';
+        }
+        
+        trackSchema(record) {
+            if (!this.config.schema.enabled || !this.isSchemaSample(record)) return null;
+            
+            const { key, method, path } = this.getEndpoint(record);
+            const sample = this.inferSchema(record.response);
+            const now = new Date().toISOString();
+            const entry = this.endpointSchemas.get(key);
+            
+            if (!entry) {
+                this.endpointSchemas.set(key, {
+                    endpoint: key,
+                    method: method,
+                    path: path,
+                    schema: sample,
+                    samples: 1,
+                    firstSeen: now,
+                    lastSeen: now,
+                    drifts: []
+                });
+                this.saveSchemas(key);
+                return null;
+            }
+            
+            const changes = this.compareSchema(entry.schema, sample, '$', []);
+            entry.samples++;
+            entry.lastSeen = now;
+            
+            if (changes.length === 0) return null;
+            
+            entry.schema = this.mergeSchema(entry.schema, sample);
+            const drift = {
+                endpoint: key,
+                method: method,
+                path: path,
+                requestId: record.id,
+                timestamp: now,
+                changes: changes
+            };
+            entry.drifts.push(drift);
+            if (entry.drifts.length > this.config.schema.maxDrifts) {
+                entry.drifts.splice(0, entry.drifts.length - this.config.schema.maxDrifts);
+            }
+            
+            this.saveSchemas(key);
+            this.log(`⚠️ 接口结构变化: ${key}`, changes);
+            return drift;
+        }
+        
+        getSchemas() {
+            return Array.from(this.endpointSchemas.values());
+        }
+        
+        getSchemaDrifts() {
+            return this.getSchemas()
+                .reduce((drifts, entry) => drifts.concat(entry.drifts), [])
+                .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+        }
+        
+        clearSchemas() {
+            this.endpointSchemas.clear();
+            try {
+                localStorage.removeItem(`${this.config.storageKey}_schemas`);
+            } catch (e) {
+                this.log('❌ 保存接口结构失败:', e);
+            }
+            this.updateDriftCount();
+        }
+        
+        // 学习到的结构保存在 localStorage，页面刷新后继续用于比较
+        loadSchemas() {
+            const schemas = new Map();
+            try {
+                const stored = JSON.parse(localStorage.getItem(`${this.config.storageKey}_schemas`) || '[]');
+                stored.forEach(entry => schemas.set(entry.endpoint, entry));
+            } catch (e) {
+                this.log('❌ 读取接口结构失败:', e);
+            }
+            return schemas;
+        }
+        
+        // 多个标签页共用同一份存储，只写入本标签页改动的接口，同时取回其他标签页学习到的接口
+        saveSchemas(key) {
+            const stored = this.loadSchemas();
+            stored.forEach((entry, endpoint) => {
+                if (endpoint !== key) {
+                    this.endpointSchemas.set(endpoint, entry);
+                }
+            });
+            if (this.endpointSchemas.has(key)) {
+                stored.set(key, this.endpointSchemas.get(key));
+            }
+            
+            try {
+                localStorage.setItem(`${this.config.storageKey}_schemas`, JSON.stringify(Array.from(stored.values())));
+            } catch (e) {
+                this.log('❌ 保存接口结构失败:', e);
+            }
+        }
+        
+        // 数据提取规则（config.extractions），从匹配接口的响应中取出列表，按列映射为表格行:
+        //   {
+        //       name: 'products',                                   // 表名，省略时为 table1、table2...
+        //       match: '/h5/mtop.cbu.distribute.selection.list',    // 匹配器，写法同 shouldCaptureRequest，省略时匹配所有记录
+        //       source: 'response',                                 // 从响应体（默认）或请求体（'request'）中提取
+        //       list: '$.data.list',                                // 列表所在路径，省略时为整个响应体
+        //       columns: { id: 'offerId', title: '$.subject', price: (item, record) => item.price / 100 },
+        //                                                           // 列名 -> 相对列表项的路径或函数，也可以写成路径数组
+        //       key: 'id',                                          // 去重的列，相同值的行由后到的覆盖
+        //       maxRows: 5000                                       // 超出时丢弃最早的行
+        //   }
+        normalizeExtraction(rule, index) {
+            if (!rule || typeof rule !== 'object' || !rule.columns) {
+                throw new Error('数据提取规则必须包含 columns');
+            }
+            
+            return {
+                name: `table${index + 1}`,
+                source: 'response',
+                list: '$',
+                maxRows: 5000,
+                ...rule
+            };
+        }
+        
+        getExtractionColumns(rule) {
+            return Array.isArray(rule.columns)
+                ? rule.columns.map(column => [column, column])
+                : Object.entries(rule.columns);
+        }
+        
+        matchExtraction(rule, record) {
+            if (rule.match === undefined) return true;
+            
+            const request = this.buildFilterRequest(record.url || '', {
+                method: record.method,
+                headers: record.requestHeaders,
+                body: record.request
+            });
+            return [].concat(rule.match).some(matcher => this.matchFilter(matcher, request, false));
+        }
+        
+        // 对已完成的记录执行所有匹配的提取规则
+        extractRows(record) {
+            if (this.config.extractions.length === 0 || (record.state || 'completed') !== 'completed') return;
+            
+            let changed = false;
+            this.config.extractions.forEach(rule => {
+                if (!this.matchExtraction(rule, record)) return;
+                
+                try {
+                    const rows = this.applyExtraction(rule, record);
+                    if (rows.length > 0) {
+                        changed = true;
+                        this.triggerEvent('rowsExtracted', { table: rule.name, rows: rows, recordId: record.id });
+                    }
+                } catch (e) {
+                    this.log('❌ 数据提取出错:', rule.name, e);
+                }
+            });
+            
+            if (changed) {
+                this.scheduleTablesSave();
+            }
+        }
+        
+        applyExtraction(rule, record) {
+            const source = rule.source === 'request' ? record.request : record.response;
+            const items = [];
+            this.queryJSONPath(source, rule.list).forEach(match => {
+                if (Array.isArray(match)) {
+                    items.push(...match);
+                } else if (match !== undefined && match !== null) {
+                    items.push(match);
+                }
+            });
+            
+            if (!this.tables.has(rule.name)) {
+                this.tables.set(rule.name, new Map());
+            }
+            const table = this.tables.get(rule.name);
+            const columns = this.getExtractionColumns(rule);
+            const time = Date.now();
+            
+            const rows = items.map((item, index) => {
+                const values = {};
+                columns.forEach(([column, spec]) => {
+                    values[column] = this.extractColumnValue(spec, item, record);
+                });
+                
+                // 没有去重列或取不到值时每行单独保存
+                const keyValue = rule.key !== undefined ? values[rule.key] : undefined;
+                const key = keyValue === undefined || keyValue === null
+                    ? `#${record.id}:${index}`
+                    : `=${typeof keyValue === 'object' ? JSON.stringify(keyValue) : keyValue}`;
+                table.set(key, { key, values, recordId: record.id, time });
+                if (!this.tablesDirty.has(rule.name)) {
+                    this.tablesDirty.set(rule.name, new Set());
+                }
+                this.tablesDirty.get(rule.name).add(key);
+                return values;
+            });
+            
+            while (table.size > rule.maxRows) {
+                table.delete(table.keys().next().value);
+            }
+            
+            return rows;
+        }
+        
+        extractColumnValue(spec, item, record) {
+            if (typeof spec === 'function') {
+                return spec(item, record);
+            }
+            
+            const matches = this.queryJSONPath(item, spec);
+            return matches.length <= 1 ? matches[0] : matches;
+        }
+        
+        getTables() {
+            const names = new Set(this.config.extractions.map(rule => rule.name).concat(Array.from(this.tables.keys())));
+            return Array.from(names).map(name => {
+                const { rows, ...table } = this.getTable(name);
+                return { ...table, rowCount: rows.length };
+            });
+        }
+        
+        // 返回 { name, columns, key, rows }，rows 按首次出现的顺序排列
+        getTable(name) {
+            const rule = this.config.extractions.find(item => item.name === name);
+            const table = this.tables.get(name);
+            if (!rule && !table) return null;
+            
+            const rows = table ? Array.from(table.values()).map(row => row.values) : [];
+            // 规则已移除的表按已有的行推断列
+            const columns = rule
+                ? this.getExtractionColumns(rule).map(([column]) => column)
+                : Array.from(new Set(rows.reduce((result, row) => result.concat(Object.keys(row)), [])));
+            
+            return { name, columns, key: rule ? rule.key : undefined, rows };
+        }
+        
+        clearTable(name) {
+            if (name === undefined) {
+                this.tables.clear();
+                this.tablesDirty.clear();
+            } else {
+                this.tables.delete(name);
+                this.tablesDirty.delete(name);
+            }
+            
+            // 清空时同时删除其他标签页保存的行
+            try {
+                if (name === undefined) {
+                    localStorage.removeItem(`${this.config.storageKey}_tables`);
+                } else {
+                    const stored = this.readStoredTables();
+                    delete stored[name];
+                    localStorage.setItem(`${this.config.storageKey}_tables`, JSON.stringify(stored));
+                }
+            } catch (e) {
+                this.log('❌ 保存数据表失败:', e);
+            }
+            this.saveTables();
+            
+            if (this.config.enableUI) {
+                this.scheduleListRender();
+            }
+        }
+        
+        // format: csv | jsonl
+        exportTable(name, format = 'csv') {
+            if (!TABLE_EXPORT_FORMATS[format]) {
+                throw new Error(`不支持的导出格式: ${format}`);
+            }
+            
+            const table = this.getTable(name);
+            if (!table) {
+                throw new Error(`数据表不存在: ${name}`);
+            }
+            
+            const rows = this.runPluginHook('onExport', table.rows, { format, table: name });
+            if (format === 'jsonl') {
+                return rows.map(row => JSON.stringify(row)).join('\n');
+            }
+            
+            return [table.columns]
+                .concat(rows.map(row => table.columns.map(column => row[column])))
+                .map(cells => cells.map(cell => this.toCSVCell(cell)).join(','))
+                .join('\r\n');
+        }
+        
+        toCSVCell(value) {
+            if (value === undefined || value === null) return '';
+            
+            const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }
+        
+        downloadTable(name, format = 'csv', filename = null) {
+            try {
+                const content = this.exportTable(name, format);
+                // Excel 需要 BOM 才能识别 UTF-8 编码的中文
+                this.saveFile(
+                    format === 'csv' ? `\uFEFF${content}` : content,
+                    filename || `api_monitor_${name}_${this.getFileTimestamp()}.${format}`,
+                    TABLE_EXPORT_FORMATS[format]
+                );
+                
+                this.log('✅ 数据表下载成功');
+            } catch (e) {
+                this.log('❌ 下载数据表失败:', e);
+            }
+        }
+        
+        readStoredTables() {
+            try {
+                return JSON.parse(localStorage.getItem(`${this.config.storageKey}_tables`) || '{}');
+            } catch (e) {
+                this.log('❌ 读取数据表失败:', e);
+                return {};
+            }
+        }
+        
+        loadTables() {
+            const tables = new Map();
+            Object.entries(this.readStoredTables()).forEach(([name, rows]) => {
+                tables.set(name, new Map(rows.map(row => [row.key, row])));
+            });
+            return tables;
+        }
+        
+        // 多个标签页共用同一份存储，只把本标签页改动的行合并到已保存的表中，合并后同样受 maxRows 限制
+        saveTables() {
+            clearTimeout(this.tablesSaveTimer);
+            this.tablesSaveTimer = null;
+            if (this.tablesDirty.size === 0) return;
+            
+            const stored = this.readStoredTables();
+            this.tablesDirty.forEach((keys, name) => {
+                const table = this.tables.get(name);
+                if (!table) return;
+                
+                const merged = new Map((stored[name] || []).map(row => [row.key, row]));
+                keys.forEach(key => {
+                    if (table.has(key)) merged.set(key, table.get(key));
+                });
+                
+                const rule = this.config.extractions.find(item => item.name === name);
+                const maxRows = rule ? rule.maxRows : Infinity;
+                while (merged.size > maxRows) {
+                    merged.delete(merged.keys().next().value);
+                }
+                
+                stored[name] = Array.from(merged.values());
+                // 同时取回其他标签页提取的行
+                this.tables.set(name, merged);
+            });
+            this.tablesDirty.clear();
+            
+            try {
+                localStorage.setItem(`${this.config.storageKey}_tables`, JSON.stringify(stored));
+            } catch (e) {
+                this.log('❌ 保存数据表失败:', e);
+            }
+        }
+        
+        // 连续捕获时合并写入
+        scheduleTablesSave() {
+            if (this.tablesSaveTimer) return;
+            this.tablesSaveTimer = setTimeout(() => this.saveTables(), 500);
+        }
+        
+        // 按接口聚合请求数、耗时分位数、状态码分布、错误率、数据大小和时间线
+        getStats(options = {}) {
+            const timeRange = Number(options.timeRange) || 0;
+            const bucketCount = Math.max(1, Number(options.buckets) || STATS_TIMELINE_BUCKETS);
+            const now = Date.now();
+            
+            const samples = [];
+            this.capturedRequests.forEach(record => {
+                const time = new Date(record.timestamp).getTime();
+                if (isNaN(time) || (timeRange && time < now - timeRange)) return;
+                samples.push({ record, time });
+            });
+            
+            const start = samples.reduce((min, sample) => Math.min(min, sample.time), samples.length ? Infinity : now);
+            const end = samples.reduce((max, sample) => Math.max(max, sample.time), start);
+            const bucketSize = Math.max(1, Math.ceil((end - start + 1) / bucketCount));
+            const range = { start, end, bucketSize, bucketCount };
+            
+            const total = this.createStatsGroup({ key: '*', method: '*', path: '*' }, range);
+            const groups = new Map();
+            samples.forEach(({ record, time }) => {
+                const endpoint = this.getEndpoint(record);
+                if (!groups.has(endpoint.key)) {
+                    groups.set(endpoint.key, this.createStatsGroup(endpoint, range));
+                }
+                this.addStatsSample(groups.get(endpoint.key), record, time, range);
+                this.addStatsSample(total, record, time, range);
+            });
+            
+            return {
+                generatedAt: new Date(now).toISOString(),
+                range: { start: new Date(start).toISOString(), end: new Date(end).toISOString(), bucketSize },
+                total: this.finalizeStatsGroup(total),
+                endpoints: Array.from(groups.values())
+                    .map(group => this.finalizeStatsGroup(group))
+                    .sort((a, b) => b.count - a.count)
+            };
+        }
+        
+        createStatsGroup(endpoint, range) {
+            return {
+                endpoint: endpoint.key,
+                method: endpoint.method,
+                path: endpoint.path,
+                count: 0,
+                errors: 0,
+                durations: [],
+                status: {},
+                states: {},
+                requestBytes: 0,
+                responseBytes: 0,
+                timeline: Array.from({ length: range.bucketCount }, (item, index) => ({
+                    start: new Date(range.start + index * range.bucketSize).toISOString(),
+                    count: 0,
+                    errors: 0
+                }))
+            };
+        }
+        
+        // 请求失败、HTTP 状态码 >= 400 或 mtop 业务失败计为错误，取消的请求不计
+        isErrorRecord(record) {
+            return record.state === 'failed' || Number(record.status) >= 400 || this.isMtopFailure(record);
+        }
+        
+        addStatsSample(group, record, time, range) {
+            const isError = this.isErrorRecord(record);
+            const state = record.state || 'completed';
+            const status = record.status === undefined ? '-' : String(record.status);
+            
+            group.count++;
+            group.states[state] = (group.states[state] || 0) + 1;
+            group.status[status] = (group.status[status] || 0) + 1;
+            if (isError) group.errors++;
+            
+            if (typeof record.duration === 'number' && record.duration >= 0) {
+                group.durations.push(record.duration);
+            }
+            
+            const requestText = this.toHARText(record.request);
+            const responseText = this.toHARText(record.response);
+            group.requestBytes += requestText === null ? 0 : this.getByteLength(requestText);
+            group.responseBytes += record.timing && record.timing.encodedBodySize
+                ? record.timing.encodedBodySize
+                : (responseText === null ? 0 : this.getByteLength(responseText));
+            
+            const bucket = group.timeline[Math.min(range.bucketCount - 1, Math.floor((time - range.start) / range.bucketSize))];
+            bucket.count++;
+            if (isError) bucket.errors++;
+        }
+        
+        finalizeStatsGroup(group) {
+            const durations = group.durations.slice().sort((a, b) => a - b);
+            // 最近秩法计算分位数
+            const percentile = (p) => durations.length ? durations[Math.max(0, Math.ceil(p / 100 * durations.length) - 1)] : null;
+            const average = (sum, count) => count ? Math.round(sum / count) : 0;
+            
+            return {
+                endpoint: group.endpoint,
+                method: group.method,
+                path: group.path,
+                count: group.count,
+                errors: group.errors,
+                errorRate: group.count ? Math.round(group.errors / group.count * 10000) / 10000 : 0,
+                duration: {
+                    min: durations.length ? durations[0] : null,
+                    avg: durations.length ? average(durations.reduce((sum, value) => sum + value, 0), durations.length) : null,
+                    p50: percentile(50),
+                    p90: percentile(90),
+                    p99: percentile(99),
+                    max: durations.length ? durations[durations.length - 1] : null
+                },
+                status: group.status,
+                states: group.states,
+                size: {
+                    request: { total: group.requestBytes, avg: average(group.requestBytes, group.count) },
+                    response: { total: group.responseBytes, avg: average(group.responseBytes, group.count) }
+                },
+                timeline: group.timeline
+            };
+        }
+        
+        getRequests() {
+            return [...this.capturedRequests];
+        }
+        
+        getStorageInfo() {
+            return {
+                backend: this.storage ? this.storage.name : null,
+                count: this.capturedRequests.length,
+                size: this.getStoredSize(),
+                maxSize: this.maxStorageSize || this.config.storage.maxSize || null,
+                maxAge: this.config.storage.maxAge
+            };
         }
         
         download(filename = null) {
@@ -502,253 +5109,1577 @@
                 return;
             }
             
-            try {
-                const dataStr = JSON.stringify(this.capturedRequests, null, 2);
-                const blob = new Blob([dataStr], { type: 'application/json' });
-                const url = URL.createObjectURL(blob);
-                
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = filename || `api_monitor_data_${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
-                document.body.appendChild(a);
-                a.click();
-                document.body.removeChild(a);
-                URL.revokeObjectURL(url);
-                
-                this.log('✅ 数据下载成功');
-            } catch (e) {
-                this.log('❌ 下载数据失败:', e);
+            try {
+                const dataStr = JSON.stringify(this.runPluginHook('onExport', this.getExportRecords(), { format: 'json' }), null, 2);
+                this.saveFile(dataStr, filename || `api_monitor_data_${this.getFileTimestamp()}.json`, 'application/json');
+                
+                this.log('✅ 数据下载成功');
+            } catch (e) {
+                this.log('❌ 下载数据失败:', e);
+            }
+        }
+        
+        downloadHAR(filename = null) {
+            if (this.capturedRequests.length === 0) {
+                this.log('⚠️ 暂无数据可下载');
+                return;
+            }
+            
+            try {
+                const dataStr = JSON.stringify(this.exportHAR(), null, 2);
+                this.saveFile(dataStr, filename || `api_monitor_data_${this.getFileTimestamp()}.har`, 'application/json');
+                
+                this.log('✅ HAR下载成功');
+            } catch (e) {
+                this.log('❌ 下载HAR失败:', e);
+            }
+        }
+        
+        downloadOpenAPI(filename = null) {
+            if (this.capturedRequests.length === 0) {
+                this.log('⚠️ 暂无数据可下载');
+                return;
+            }
+            
+            try {
+                const dataStr = JSON.stringify(this.exportOpenAPI(), null, 2);
+                this.saveFile(dataStr, filename || `api_monitor_openapi_${this.getFileTimestamp()}.json`, 'application/json');
+                
+                this.log('✅ OpenAPI文档下载成功');
+            } catch (e) {
+                this.log('❌ 下载OpenAPI文档失败:', e);
+            }
+        }
+        
+        // 按接口（方法 + 模板化路径，见 getEndpoint）汇总捕获记录，推断参数、请求体和响应结构，生成 OpenAPI 3.1 文档
+        exportOpenAPI() {
+            const records = this.getExportRecords().filter(record => this.isOpenAPISample(record));
+            const servers = new Set();
+            const operations = new Map();
+            
+            records.forEach(record => {
+                let url;
+                try {
+                    url = new URL(this.resolveURL(record.url));
+                } catch (e) {
+                    return;
+                }
+                
+                servers.add(url.origin);
+                const endpoint = this.getEndpoint(record);
+                if (!operations.has(endpoint.key)) {
+                    operations.set(endpoint.key, { endpoint, samples: [] });
+                }
+                operations.get(endpoint.key).samples.push({ record, url });
+            });
+            
+            const paths = {};
+            const operationIds = new Set();
+            Array.from(operations.values())
+                .sort((a, b) => a.endpoint.path.localeCompare(b.endpoint.path) || a.endpoint.method.localeCompare(b.endpoint.method))
+                .forEach(({ endpoint, samples }) => {
+                    const path = this.templateOpenAPIPath(endpoint.path);
+                    paths[path] = paths[path] || {};
+                    paths[path][endpoint.method.toLowerCase()] = this.buildOpenAPIOperation(endpoint, path, samples, operationIds);
+                });
+            
+            return this.runPluginHook('onExport', {
+                openapi: '3.1.0',
+                info: {
+                    title: `${document.title || window.location.hostname} API`,
+                    version: '1.0.0',
+                    description: `根据 ${records.length} 条捕获记录生成`
+                },
+                servers: Array.from(servers).map(url => ({ url })),
+                paths: paths
+            }, { format: 'openapi' });
+        }
+        
+        isOpenAPISample(record) {
+            return !!record.url && OPENAPI_RECORD_TYPES.includes(record.type) && !record.mocked &&
+                OPENAPI_METHODS.includes(String(record.method || '').toLowerCase());
+        }
+        
+        // 同一路径中重复的 {id} 等模板依次改名为 {id2}、{id3}，OpenAPI 要求路径参数名唯一
+        templateOpenAPIPath(path) {
+            const counts = {};
+            return path.replace(/\{(\w+)\}/g, (match, name) => {
+                counts[name] = (counts[name] || 0) + 1;
+                return counts[name] === 1 ? match : `{${name}${counts[name]}}`;
+            });
+        }
+        
+        buildOpenAPIOperation(endpoint, path, samples, operationIds) {
+            const latest = samples[samples.length - 1];
+            const mtop = latest.record.mtop;
+            const operation = {
+                summary: mtop ? mtop.api : `${endpoint.method} ${path}`,
+                operationId: this.getOpenAPIOperationId(mtop ? mtop.api : `${endpoint.method} ${path}`, operationIds)
+            };
+            
+            const parameters = this.buildOpenAPIPathParameters(path, latest.url)
+                .concat(this.buildOpenAPIQueryParameters(samples));
+            if (parameters.length > 0) {
+                operation.parameters = parameters;
+            }
+            
+            if (!['GET', 'HEAD'].includes(endpoint.method)) {
+                const content = this.buildOpenAPIContent(samples.map(({ record }) => ({
+                    record,
+                    value: record.request,
+                    mediaType: this.getOpenAPIMediaType(record.requestHeaders, record.request, record.requestBodyType)
+                })));
+                if (content) {
+                    operation.requestBody = { content };
+                }
+            }
+            
+            operation.responses = this.buildOpenAPIResponses(samples);
+            operation['x-sample-count'] = samples.length;
+            return operation;
+        }
+        
+        getOpenAPIOperationId(name, operationIds) {
+            const base = String(name).replace(/[^a-zA-Z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'operation';
+            let id = base;
+            for (let index = 2; operationIds.has(id); index++) {
+                id = `${base}_${index}`;
+            }
+            operationIds.add(id);
+            return id;
+        }
+        
+        buildOpenAPIPathParameters(path, url) {
+            const actual = url.pathname.split('/');
+            return path.split('/').reduce((parameters, segment, index) => {
+                const match = /^\{((id|uuid|hash)\d*)\}$/.exec(segment);
+                if (!match) return parameters;
+                
+                const schema = match[2] === 'id' ? { type: 'integer' } : { type: 'string' };
+                if (match[2] === 'uuid') {
+                    schema.format = 'uuid';
+                }
+                const example = match[2] === 'id' ? Number(actual[index]) : actual[index];
+                parameters.push({ name: match[1], in: 'path', required: true, schema, example });
+                return parameters;
+            }, []);
+        }
+        
+        // 所有样本中都出现的参数为必填；值都是 JSON 时（如 mtop 的 data）按 application/json 描述结构
+        buildOpenAPIQueryParameters(samples) {
+            const params = new Map();
+            
+            samples.forEach(({ url }) => {
+                const seen = new Set();
+                url.searchParams.forEach((value, name) => {
+                    if (!params.has(name)) {
+                        params.set(name, { count: 0, json: true, schema: null, example: value });
+                    }
+                    
+                    const param = params.get(name);
+                    if (!seen.has(name)) {
+                        seen.add(name);
+                        param.count++;
+                    }
+                    
+                    const parsed = this.parseData(value);
+                    if (parsed !== null && typeof parsed === 'object') {
+                        const schema = this.inferSchema(parsed);
+                        param.schema = param.schema ? this.mergeSchema(param.schema, schema) : schema;
+                    } else {
+                        param.json = false;
+                    }
+                    param.example = value;
+                });
+            });
+            
+            return Array.from(params.entries()).map(([name, param]) => {
+                const parameter = { name, in: 'query', required: param.count === samples.length };
+                if (param.json) {
+                    parameter.content = {
+                        'application/json': {
+                            schema: this.toOpenAPISchema(param.schema),
+                            example: this.parseData(param.example)
+                        }
+                    };
+                } else {
+                    parameter.schema = { type: 'string' };
+                    parameter.example = param.example;
+                }
+                return parameter;
+            });
+        }
+        
+        buildOpenAPIResponses(samples) {
+            const byStatus = new Map();
+            samples.forEach(({ record }) => {
+                const status = Number(record.status);
+                if ((record.state || 'completed') !== 'completed' || !status) return;
+                
+                if (!byStatus.has(status)) {
+                    byStatus.set(status, []);
+                }
+                byStatus.get(status).push({
+                    record,
+                    value: record.response,
+                    mediaType: this.getOpenAPIMediaType(record.responseHeaders, record.response),
+                    encoding: record.responseEncoding
+                });
+            });
+            
+            if (byStatus.size === 0) {
+                return { default: { description: '未捕获到响应' } };
+            }
+            
+            const responses = {};
+            Array.from(byStatus.keys()).sort().forEach(status => {
+                const response = { description: `HTTP ${status}` };
+                const content = this.buildOpenAPIContent(byStatus.get(status));
+                if (content) {
+                    response.content = content;
+                }
+                responses[status] = response;
+            });
+            return responses;
+        }
+        
+        // 按媒体类型合并样本结构，示例取最后一个成功的样本（mtop 业务失败的样本只在没有其他样本时使用）
+        buildOpenAPIContent(items) {
+            const content = {};
+            
+            items.forEach(({ record, value, mediaType, encoding }) => {
+                if (value === undefined || value === null) return;
+                
+                let schema = typeof value === 'object' ? this.inferSchema(value) : { type: 'string' };
+                const media = content[mediaType];
+                if (media) {
+                    schema = this.mergeSchema(media.sample, schema);
+                }
+                
+                const failed = this.isMtopFailure(record);
+                const keepExample = !!media && failed && !media.failed;
+                content[mediaType] = {
+                    sample: schema,
+                    encoding: encoding || (media && media.encoding),
+                    example: keepExample ? media.example : value,
+                    failed: keepExample ? false : failed
+                };
+            });
+            
+            const mediaTypes = Object.keys(content);
+            if (mediaTypes.length === 0) return null;
+            
+            return mediaTypes.reduce((result, mediaType) => {
+                const { sample, encoding, example } = content[mediaType];
+                const schema = this.toOpenAPISchema(sample);
+                if (encoding) {
+                    schema.contentEncoding = encoding;
+                }
+                result[mediaType] = { schema, example };
+                return result;
+            }, {});
+        }
+        
+        getOpenAPIMediaType(headers, value, bodyType) {
+            const contentType = this.findHeaderValue(this.toHARHeaders(headers), 'content-type');
+            if (contentType) {
+                return contentType.split(';')[0].trim().toLowerCase();
+            }
+            if (bodyType === 'urlencoded') return 'application/x-www-form-urlencoded';
+            if (bodyType === 'formdata') return 'multipart/form-data';
+            return value !== null && typeof value === 'object' ? 'application/json' : 'text/plain';
+        }
+        
+        // 内部结构与 JSON Schema 基本一致，多类型直接使用 3.1 的 type 数组
+        toOpenAPISchema(schema) {
+            if (!schema) return {};
+            
+            const result = { type: schema.type };
+            if (schema.properties) {
+                result.properties = {};
+                Object.entries(schema.properties).forEach(([key, value]) => {
+                    result.properties[key] = this.toOpenAPISchema(value);
+                });
+            }
+            if (schema.required && schema.required.length > 0) {
+                result.required = schema.required.slice();
+            }
+            if (schema.items) {
+                result.items = this.toOpenAPISchema(schema.items);
+            }
+            return result;
+        }
+        
+        getFileTimestamp() {
+            return new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+        }
+        
+        saveFile(content, filename, mimeType) {
+            const blob = new Blob([content], { type: mimeType });
+            const url = URL.createObjectURL(blob);
+            
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = filename;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        }
+        
+        // 导出为 HAR 1.2 格式，可直接导入 Chrome DevTools、Charles、Fiddler
+        exportHAR() {
+            return this.runPluginHook('onExport', {
+                log: {
+                    version: '1.2',
+                    creator: {
+                        name: 'API Monitor',
+                        version: MONITOR_VERSION
+                    },
+                    pages: [],
+                    entries: this.getExportRecords().map(req => this.buildHAREntry(req))
+                }
+            }, { format: 'har' });
+        }
+        
+        buildHAREntry(req) {
+            const url = this.resolveURL(req.url);
+            const requestHeaders = this.toHARHeaders(req.requestHeaders);
+            const responseHeaders = this.toHARHeaders(req.responseHeaders);
+            const duration = Math.max(0, Math.round(Number(req.duration) || 0));
+            const finishedAt = req.timestamp ? new Date(req.timestamp).getTime() : Date.now();
+            
+            const entry = {
+                startedDateTime: new Date(finishedAt - duration).toISOString(),
+                time: duration,
+                request: {
+                    method: (req.method || 'GET').toUpperCase(),
+                    url: url,
+                    httpVersion: 'HTTP/1.1',
+                    cookies: [],
+                    headers: requestHeaders,
+                    queryString: this.getHARQueryString(url),
+                    headersSize: -1,
+                    bodySize: 0
+                },
+                response: {
+                    status: Number(req.status) || 0,
+                    statusText: req.statusText || '',
+                    httpVersion: 'HTTP/1.1',
+                    cookies: [],
+                    headers: responseHeaders,
+                    content: {
+                        size: 0,
+                        mimeType: 'text/plain'
+                    },
+                    redirectURL: '',
+                    headersSize: -1,
+                    bodySize: -1
+                },
+                cache: {},
+                timings: this.buildHARTimings(req, duration),
+                _type: req.type
+            };
+            
+            if (req.error) {
+                entry.response._error = req.error.message;
+            }
+            
+            // 与 Chrome 导出的 HAR 相同的字段，time 为秒级时间戳
+            if (Array.isArray(req.frames) && req.type === 'websocket') {
+                entry._webSocketMessages = req.frames.map(frame => ({
+                    type: frame.direction === 'sent' ? 'send' : 'receive',
+                    time: frame.time / 1000,
+                    opcode: frame.opcode === 'binary' ? 2 : 1,
+                    data: this.toHARText(frame.data) || ''
+                }));
+            } else if (Array.isArray(req.frames)) {
+                entry._eventSourceMessages = req.frames.map(frame => ({
+                    time: frame.time / 1000,
+                    eventName: frame.event || 'message',
+                    eventId: frame.lastEventId || '',
+                    data: this.toHARText(frame.data) || ''
+                }));
+            }
+            
+            let postText = this.toHARText(req.request);
+            if (postText !== null) {
+                const isForm = req.requestBodyType === 'urlencoded' || req.requestBodyType === 'formdata';
+                const mimeType = this.findHeaderValue(requestHeaders, 'content-type') ||
+                    (req.requestBodyType === 'urlencoded' ? 'application/x-www-form-urlencoded' : '') ||
+                    (req.requestBodyType === 'formdata' ? 'multipart/form-data' : '') ||
+                    (typeof req.request === 'object' ? 'application/json' : 'text/plain');
+                
+                let params = null;
+                if (isForm && req.request && typeof req.request === 'object') {
+                    params = [];
+                    Object.entries(req.request).forEach(([name, value]) => {
+                        [].concat(value).forEach(item => params.push({ name, value: String(item) }));
+                    });
+                    if (req.requestBodyType === 'urlencoded') {
+                        postText = new URLSearchParams(params.map(param => [param.name, param.value])).toString();
+                    }
+                } else if (mimeType.includes('application/x-www-form-urlencoded')) {
+                    params = Array.from(new URLSearchParams(postText)).map(([name, value]) => ({ name, value }));
+                }
+                
+                entry.request.postData = {
+                    mimeType: mimeType,
+                    text: postText
+                };
+                if (params) {
+                    entry.request.postData.params = params;
+                }
+                entry.request.bodySize = this.getByteLength(postText);
+            }
+            
+            const responseText = this.toHARText(req.response);
+            const responseMimeType = this.findHeaderValue(responseHeaders, 'content-type') ||
+                (req.response && typeof req.response === 'object' ? 'application/json' : 'text/plain');
+            entry.response.content.mimeType = responseMimeType;
+            if (responseText !== null) {
+                entry.response.content.size = req.responseSize !== undefined ? req.responseSize : this.getByteLength(responseText);
+                entry.response.content.text = responseText;
+                entry.response.bodySize = entry.response.content.size;
+                if (req.responseEncoding) {
+                    entry.response.content.encoding = req.responseEncoding;
+                }
+            }
+            
+            return entry;
+        }
+        
+        buildHARTimings(req, duration) {
+            const timing = req.timing;
+            if (!timing || !timing.ttfb) {
+                return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: duration, receive: 0 };
+            }
+            
+            // HAR 中 connect 包含 ssl
+            return {
+                blocked: -1,
+                dns: timing.dns || -1,
+                connect: timing.connect || -1,
+                ssl: timing.ssl || -1,
+                send: 0,
+                wait: timing.ttfb,
+                receive: timing.download
+            };
+        }
+        
+        resolveURL(url) {
+            try {
+                return new URL(url, window.location.href).href;
+            } catch (e) {
+                return String(url || '');
+            }
+        }
+        
+        toHARHeaders(headers) {
+            if (!headers) return [];
+            
+            // XHR记录的响应头是 getAllResponseHeaders() 返回的原始字符串
+            if (typeof headers === 'string') {
+                return headers.trim().split(/[\r\n]+/).filter(Boolean).map(line => {
+                    const index = line.indexOf(':');
+                    return index > 0
+                        ? { name: line.slice(0, index).trim(), value: line.slice(index + 1).trim() }
+                        : { name: line.trim(), value: '' };
+                });
+            }
+            
+            return Object.entries(this.parseHeaders(headers)).map(([name, value]) => ({
+                name: name,
+                value: String(value)
+            }));
+        }
+        
+        findHeaderValue(harHeaders, name) {
+            const header = harHeaders.find(item => item.name.toLowerCase() === name);
+            return header ? header.value : null;
+        }
+        
+        getHARQueryString(url) {
+            try {
+                return Array.from(new URL(url).searchParams).map(([name, value]) => ({ name, value }));
+            } catch (e) {
+                return [];
+            }
+        }
+        
+        toHARText(data) {
+            if (data === undefined || data === null) return null;
+            if (typeof data === 'string') return data;
+            
+            try {
+                return JSON.stringify(data);
+            } catch (e) {
+                return String(data);
+            }
+        }
+        
+        getByteLength(text) {
+            try {
+                return new TextEncoder().encode(text).length;
+            } catch (e) {
+                return text.length;
+            }
+        }
+        
+        // 默认实例沿用原有的元素ID，其他实例的ID带上实例名称
+        getUIId(part) {
+            return this.config.name === DEFAULT_CONFIG.name ? `api-monitor-${part}` : `api-monitor-${this.config.name}-${part}`;
+        }
+        
+        getUIElement(part) {
+            return document.getElementById(this.getUIId(part));
+        }
+        
+        getPanelTitle() {
+            const name = this.config.name === DEFAULT_CONFIG.name ? '' : ` · ${this.config.name}`;
+            return `API监控器${name} (${this.capturedRequests.length})`;
+        }
+        
+        removeUI() {
+            document.querySelectorAll('[data-api-monitor]').forEach(element => {
+                if (element.dataset.apiMonitor === this.config.name) {
+                    element.parentNode.removeChild(element);
+                }
+            });
+        }
+        
+        createUI() {
+            if (this.destroyed) return;
+            
+            // 确保 document.body 存在
+            if (!document.body) {
+                this.log('⚠️ document.body 不存在，延迟创建UI');
+                setTimeout(() => this.createUI(), 100);
+                return;
+            }
+            
+            // 检查是否已经存在UI元素
+            if (this.getUIElement('button')) {
+                this.log('⚠️ UI元素已存在，跳过创建');
+                return;
+            }
+            
+            // 多个实例的悬浮按钮依次向左排列
+            const slot = document.querySelectorAll('.api-monitor-button').length;
+            const button = document.createElement('div');
+            button.id = this.getUIId('button');
+            button.className = 'api-monitor-button';
+            button.dataset.apiMonitor = this.config.name;
+            button.innerHTML = `
+                <div id="${this.getUIId('icon')}">🔍</div>
+                <span id="${this.getUIId('badge')}">${this.capturedRequests.length}</span>
+            `;
+            button.style.cssText = `
+                position: fixed;
+                bottom: 20px;
+                right: ${20 + slot * 60}px;
+                width: 50px;
+                height: 50px;
+                border-radius: 50%;
+                background-color: #2196F3;
+                color: white;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                cursor: pointer;
+                box-shadow: 0 2px 5px rgba(0,0,0,0.3);
+                z-index: 9999;
+            `;
+            
+            const badge = document.createElement('span');
+            badge.id = this.getUIId('badge');
+            badge.textContent = this.capturedRequests.length;
+            badge.style.cssText = `
+                position: absolute;
+                top: -5px;
+                right: -5px;
+                background-color: red;
+                color: white;
+                border-radius: 50%;
+                width: 20px;
+                height: 20px;
+                font-size: 12px;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+            `;
+            button.appendChild(badge);
+            
+            button.addEventListener('click', () => this.togglePanel());
+            document.body.appendChild(button);
+            
+            this.createPanel();
+            this.renderRequestList();
+        }
+        
+        createPanel() {
+            if (this.destroyed) return;
+            
+            // 确保 document.body 存在
+            if (!document.body) {
+                this.log('⚠️ document.body 不存在，延迟创建面板');
+                setTimeout(() => this.createPanel(), 100);
+                return;
+            }
+            
+            // 检查是否已经存在面板
+            if (this.getUIElement('panel')) {
+                this.log('⚠️ 面板已存在，跳过创建');
+                return;
+            }
+            
+            const panel = document.createElement('div');
+            panel.id = this.getUIId('panel');
+            panel.dataset.apiMonitor = this.config.name;
+            panel.style.cssText = `
+                position: fixed;
+                bottom: 80px;
+                right: 20px;
+                width: 80%;
+                max-width: 800px;
+                height: 70%;
+                background-color: white;
+                border-radius: 8px;
+                box-shadow: 0 5px 15px rgba(0,0,0,0.3);
+                z-index: 9998;
+                display: none;
+                flex-direction: column;
+                overflow: hidden;
+            `;
+            
+            const header = document.createElement('div');
+            header.style.cssText = `
+                padding: 10px 15px;
+                background-color: #2196F3;
+                color: white;
+                font-weight: bold;
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+            `;
+            header.innerHTML = `
+                <span id="${this.getUIId('title')}">${this.escapeHTML(this.getPanelTitle())}</span>
+                <div>
+                    <button id="${this.getUIId('download')}" style="margin-right: 10px; padding: 5px 10px; background: #4CAF50; border: none; color: white; border-radius: 4px; cursor: pointer;">下载</button>
+                    <button id="${this.getUIId('download-har')}" style="margin-right: 10px; padding: 5px 10px; background: #009688; border: none; color: white; border-radius: 4px; cursor: pointer;">HAR</button>
+                    <button id="${this.getUIId('download-openapi')}" style="margin-right: 10px; padding: 5px 10px; background: #3F51B5; border: none; color: white; border-radius: 4px; cursor: pointer;">OpenAPI</button>
+                    <button id="${this.getUIId('clear')}" style="margin-right: 10px; padding: 5px 10px; background: #f44336; border: none; color: white; border-radius: 4px; cursor: pointer;">清空</button>
+                    <button id="${this.getUIId('close')}" style="padding: 5px 10px; background: #555; border: none; color: white; border-radius: 4px; cursor: pointer;">关闭</button>
+                </div>
+            `;
+            panel.appendChild(header);
+            
+            const tabs = document.createElement('div');
+            tabs.id = this.getUIId('tabs');
+            tabs.style.cssText = `
+                display: flex;
+                border-bottom: 1px solid #eee;
+                font-size: 13px;
+            `;
+            tabs.innerHTML = Object.entries(PANEL_TABS)
+                .map(([name, definition]) => `<button data-tab="${name}" style="padding: 6px 14px; background: none; border: none; border-bottom: 2px solid transparent; cursor: pointer;">${definition.label}</button>`)
+                .join('');
+            panel.appendChild(tabs);
+            
+            const toolbar = document.createElement('div');
+            toolbar.id = this.getUIId('toolbar');
+            toolbar.style.cssText = `
+                padding: 6px 15px;
+                border-bottom: 1px solid #eee;
+                font-size: 12px;
+                color: #333;
+                display: flex;
+                flex-wrap: wrap;
+                gap: 6px;
+                align-items: center;
+            `;
+            
+            const selectStyle = 'font-size: 12px; padding: 2px;';
+            const renderOptions = (options) => options
+                .map(([value, label]) => `<option value="${value}">${label}</option>`)
+                .join('');
+            
+            const sessionBar = document.createElement('div');
+            sessionBar.id = this.getUIId('sessions');
+            sessionBar.style.cssText = `
+                padding: 6px 15px;
+                border-bottom: 1px solid #eee;
+                background: #fafafa;
+                font-size: 12px;
+                color: #333;
+                display: flex;
+                flex-wrap: wrap;
+                gap: 6px;
+                align-items: center;
+            `;
+            const sessionButtonStyle = 'font-size: 12px; padding: 2px 8px; background: #eee; border: 1px solid #ccc; border-radius: 4px; cursor: pointer;';
+            sessionBar.innerHTML = `
+                <span>会话</span>
+                <select data-session="view" style="${selectStyle} max-width: 220px;"></select>
+                <input data-session="name" type="text" placeholder="会话名称" style="width: 120px; font-size: 12px; padding: 2px 6px;">
+                <button data-session="start" style="${sessionButtonStyle}">开始新会话</button>
+                <button data-session="stop" style="${sessionButtonStyle}">结束会话</button>
+                <button data-session="rename" style="${sessionButtonStyle}">重命名</button>
+                <span data-session="status" style="color: #666;"></span>
+            `;
+            // 会话栏在所有标签页中都显示
+            panel.insertBefore(sessionBar, tabs);
+            
+            toolbar.innerHTML = `
+                <input id="${this.getUIId('search')}" type="search" placeholder="搜索 URL / 请求体 / 响应体" style="flex: 1; min-width: 160px; font-size: 12px; padding: 3px 6px;">
+                <select data-filter="method" style="${selectStyle}">${renderOptions(LIST_FILTER_OPTIONS.method)}</select>
+                <select data-filter="statusClass" style="${selectStyle}">${renderOptions(LIST_FILTER_OPTIONS.statusClass)}</select>
+                <select data-filter="type" style="${selectStyle}">${renderOptions(LIST_FILTER_OPTIONS.type)}</select>
+                <select data-filter="state" style="${selectStyle}">${renderOptions(LIST_FILTER_OPTIONS.state)}</select>
+                <select data-filter="timeRange" style="${selectStyle}">${renderOptions(LIST_FILTER_OPTIONS.timeRange)}</select>
+                <span id="${this.getUIId('list-count')}" style="color: #666;"></span>
+                <button id="${this.getUIId('drifts')}" style="font-size: 12px; padding: 2px 8px; border: none; border-radius: 4px; cursor: pointer;"></button>
+            `;
+            panel.appendChild(toolbar);
+            
+            const content = document.createElement('div');
+            content.id = this.getUIId('content');
+            content.style.cssText = `
+                flex: 1;
+                overflow-y: auto;
+                padding: 10px;
+                position: relative;
+            `;
+            panel.appendChild(content);
+            
+            const stats = document.createElement('div');
+            stats.id = this.getUIId('stats');
+            stats.style.cssText = `
+                flex: 1;
+                display: none;
+                flex-direction: column;
+                overflow: hidden;
+                font-size: 12px;
+            `;
+            stats.innerHTML = `
+                <div style="padding: 6px 15px; border-bottom: 1px solid #eee;">
+                    <select data-stats="timeRange" style="${selectStyle}">${renderOptions(LIST_FILTER_OPTIONS.timeRange)}</select>
+                </div>
+                <div id="${this.getUIId('stats-body')}" style="flex: 1; overflow: auto; padding: 10px 15px;"></div>
+            `;
+            panel.appendChild(stats);
+            
+            const tables = document.createElement('div');
+            tables.id = this.getUIId('tables');
+            tables.style.cssText = `
+                flex: 1;
+                display: none;
+                flex-direction: column;
+                overflow: hidden;
+                font-size: 12px;
+            `;
+            const tableButtonStyle = 'font-size: 12px; padding: 2px 8px; background: #eee; border: 1px solid #ccc; border-radius: 4px; cursor: pointer;';
+            tables.innerHTML = `
+                <div style="padding: 6px 15px; border-bottom: 1px solid #eee; display: flex; flex-wrap: wrap; gap: 6px; align-items: center;">
+                    <select data-tables="name" style="${selectStyle}"></select>
+                    <span data-tables="count" style="color: #666;"></span>
+                    <button data-tables="csv" style="${tableButtonStyle}">导出 CSV</button>
+                    <button data-tables="jsonl" style="${tableButtonStyle}">导出 JSON Lines</button>
+                    <button data-tables="clear" style="${tableButtonStyle}">清空表</button>
+                </div>
+                <div id="${this.getUIId('tables-body')}" style="flex: 1; overflow: auto; padding: 10px 15px;"></div>
+            `;
+            panel.appendChild(tables);
+            
+            document.body.appendChild(panel);
+            
+            this.getUIElement('download').addEventListener('click', () => this.download());
+            this.getUIElement('download-har').addEventListener('click', () => this.downloadHAR());
+            this.getUIElement('download-openapi').addEventListener('click', () => this.downloadOpenAPI());
+            this.getUIElement('clear').addEventListener('click', () => this.clear());
+            this.getUIElement('close').addEventListener('click', () => this.togglePanel());
+            this.getUIElement('drifts').addEventListener('click', () => this.showSchemaDrifts());
+            this.updateDriftCount();
+            
+            let searchTimer = null;
+            this.getUIElement('search').addEventListener('input', (event) => {
+                clearTimeout(searchTimer);
+                searchTimer = setTimeout(() => {
+                    this.listFilters.search = event.target.value.trim().toLowerCase();
+                    this.renderRequestList();
+                }, 200);
+            });
+            toolbar.querySelectorAll('select[data-filter]').forEach(select => {
+                select.addEventListener('change', () => {
+                    this.listFilters[select.dataset.filter] = select.value;
+                    this.renderRequestList();
+                });
+            });
+            
+            tabs.querySelectorAll('button[data-tab]').forEach(button => {
+                button.addEventListener('click', () => this.switchPanelTab(button.dataset.tab));
+            });
+            const sessionName = sessionBar.querySelector('input[data-session="name"]');
+            sessionBar.querySelector('select[data-session="view"]').addEventListener('change', (event) => this.switchSession(event.target.value));
+            sessionBar.querySelector('[data-session="start"]').addEventListener('click', () => {
+                this.startSession(sessionName.value);
+                sessionName.value = '';
+            });
+            sessionBar.querySelector('[data-session="stop"]').addEventListener('click', () => this.stopSession());
+            sessionBar.querySelector('[data-session="rename"]').addEventListener('click', () => {
+                if (!sessionName.value.trim()) {
+                    sessionName.focus();
+                    return;
+                }
+                this.renameSession(this.getViewSessionId(), sessionName.value);
+                sessionName.value = '';
+            });
+            this.sessionBarSignature = null;
+            this.renderSessionBar();
+            stats.querySelector('select[data-stats="timeRange"]').addEventListener('change', (event) => {
+                this.statsTimeRange = event.target.value;
+                this.renderStatsPanel();
+            });
+            tables.querySelector('select[data-tables="name"]').addEventListener('change', (event) => {
+                this.activeTable = event.target.value;
+                this.renderTablesPanel();
+            });
+            tables.querySelector('[data-tables="csv"]').addEventListener('click', () => this.downloadTable(this.activeTable, 'csv'));
+            tables.querySelector('[data-tables="jsonl"]').addEventListener('click', () => this.downloadTable(this.activeTable, 'jsonl'));
+            tables.querySelector('[data-tables="clear"]').addEventListener('click', () => this.clearTable(this.activeTable));
+            this.switchPanelTab(this.activeTab);
+            
+            content.addEventListener('scroll', () => this.renderVisibleRows());
+            content.addEventListener('click', (event) => {
+                const item = event.target.closest('.request-item');
+                const req = item && this.filteredRequests[Number(item.dataset.index)];
+                if (req) {
+                    this.showRequestDetail(req);
+                }
+            });
+        }
+        
+        isPanelVisible() {
+            const panel = this.getUIElement('panel');
+            return !!panel && panel.style.display === 'flex';
+        }
+        
+        togglePanel() {
+            const panel = this.getUIElement('panel');
+            if (panel.style.display === 'none' || !panel.style.display) {
+                panel.style.display = 'flex';
+                this.renderActiveTab();
+            } else {
+                panel.style.display = 'none';
+            }
+        }
+        
+        // 面板打开时合并短时间内的多次更新，避免频繁重绘
+        scheduleListRender() {
+            if (!this.config.enableUI || this.listRenderTimer || !this.isPanelVisible()) return;
+            
+            this.listRenderTimer = setTimeout(() => {
+                this.listRenderTimer = null;
+                this.renderActiveTab();
+            }, 100);
+        }
+        
+        getRequestColor(req) {
+            const state = req.state || 'completed';
+            if (state === 'pending') return '#9E9E9E';
+            if (state === 'open' || state === 'streaming') return '#2196F3';
+            if (state === 'aborted') return '#FF9800';
+            if (state === 'failed' || this.isMtopFailure(req)) return '#f44336';
+            return req.status >= 200 && req.status < 300 ? '#4CAF50' : '#f44336';
+        }
+        
+        getStatusClass(req) {
+            const status = Number(req.status);
+            if (!status) return 'error';
+            if (status >= 200 && status < 600) return `${Math.floor(status / 100)}xx`;
+            return 'error';
+        }
+        
+        // 搜索文本按记录对象缓存，记录更新时会被替换为新对象
+        getSearchText(req) {
+            let text = searchTextCache.get(req);
+            if (text === undefined) {
+                const stringify = (value) => {
+                    if (value === undefined || value === null) return '';
+                    if (typeof value === 'string') return value;
+                    try {
+                        return JSON.stringify(value);
+                    } catch (e) {
+                        return String(value);
+                    }
+                };
+                text = [req.method, req.url, stringify(req.request), stringify(req.response), req.error ? req.error.message : '', stringify(req.mtop)]
+                    .join('\n')
+                    .toLowerCase();
+                searchTextCache.set(req, text);
+            }
+            return text;
+        }
+        
+        matchListFilters(req) {
+            const filters = this.listFilters;
+            
+            const sessionId = this.getViewSessionId();
+            if (sessionId && req.sessionId !== sessionId) return false;
+            if (filters.method !== 'all' && String(req.method || '').toUpperCase() !== filters.method) return false;
+            if (filters.type !== 'all' && req.type !== filters.type) return false;
+            // error 按 isErrorRecord 判断，包括状态为 completed 的 HTTP 错误和 mtop 业务失败
+            if (filters.state === 'error') {
+                if (!this.isErrorRecord(req)) return false;
+            } else if (filters.state !== 'all' && (req.state || 'completed') !== filters.state) {
+                return false;
+            }
+            
+            if (filters.statusClass !== 'all') {
+                if ((req.state || 'completed') === 'pending') return false;
+                if (this.getStatusClass(req) !== filters.statusClass) return false;
+            }
+            
+            if (filters.timeRange !== 'all') {
+                const time = req.timestamp ? new Date(req.timestamp).getTime() : 0;
+                if (!time || Date.now() - time > Number(filters.timeRange)) return false;
+            }
+            
+            if (filters.search && !this.getSearchText(req).includes(filters.search)) return false;
+            
+            return true;
+        }
+        
+        renderRequestList() {
+            const content = this.getUIElement('content');
+            if (!content) return;
+            
+            this.renderSessionBar();
+            const allRequests = [...this.capturedRequests, ...this.getPendingRequests()];
+            this.filteredRequests = allRequests.filter(req => this.matchListFilters(req)).reverse();
+            
+            const count = this.getUIElement('list-count');
+            if (count) {
+                count.textContent = `${this.filteredRequests.length} / ${allRequests.length}`;
+            }
+            
+            if (this.filteredRequests.length === 0) {
+                content.innerHTML = `<div style="padding: 20px; text-align: center; color: #666;">${allRequests.length === 0 ? '暂无捕获的请求' : '没有符合条件的请求'}</div>`;
+                return;
+            }
+            
+            let spacer = content.querySelector('.api-monitor-spacer');
+            if (!spacer) {
+                content.innerHTML = '';
+                spacer = document.createElement('div');
+                spacer.className = 'api-monitor-spacer';
+                spacer.style.cssText = 'position: relative; width: 100%;';
+                content.appendChild(spacer);
             }
+            spacer.style.height = `${this.filteredRequests.length * LIST_ROW_HEIGHT}px`;
+            
+            this.renderedRange = null;
+            this.renderVisibleRows();
         }
         
-        createUI() {
+        // 虚拟列表：只渲染可视区域及上下缓冲区内的行
+        renderVisibleRows() {
+            const content = this.getUIElement('content');
+            const spacer = content && content.querySelector('.api-monitor-spacer');
+            if (!spacer) return;
+            
+            const buffer = 5;
+            const viewportHeight = content.clientHeight || 600;
+            const start = Math.max(0, Math.floor(content.scrollTop / LIST_ROW_HEIGHT) - buffer);
+            const end = Math.min(this.filteredRequests.length, Math.ceil((content.scrollTop + viewportHeight) / LIST_ROW_HEIGHT) + buffer);
+            
+            if (this.renderedRange && this.renderedRange[0] === start && this.renderedRange[1] === end) return;
+            this.renderedRange = [start, end];
+            
+            let html = '';
+            for (let index = start; index < end; index++) {
+                html += this.renderRequestRow(this.filteredRequests[index], index);
+            }
+            spacer.innerHTML = html;
+        }
+        
+        renderRequestRow(req, index) {
+            const state = req.state || 'completed';
+            const color = this.getRequestColor(req);
+            const statusText = state === 'completed' ? (req.status === undefined ? '-' : req.status) : REQUEST_STATE_LABELS[state] || state;
+            const errorText = req.error ? ` · ${req.error.message}` : (this.isMtopFailure(req) ? ` · ${req.mtop.retCode}` : '');
+            const driftText = req.schemaDrift ? ' · <span style="color: #ff9800;">⚠️ 结构变化</span>' : '';
+            const frameText = req.frameCount !== undefined ? ` · ${req.frameCount} 条消息` : '';
+            const tabText = req.page && req.page.tabId !== TAB_ID ? ' · 其他标签页' : '';
+            
+            let pathname = req.path || req.url;
+            if (!req.path && req.url) {
+                try {
+                    pathname = new URL(req.url).pathname;
+                } catch (e) {
+                    // 使用完整URL
+                }
+            }
+            
+            return `
+                <div class="request-item" data-index="${index}" style="position: absolute; left: 0; right: 0; top: ${index * LIST_ROW_HEIGHT}px; height: ${LIST_ROW_HEIGHT - 8}px; box-sizing: border-box; padding: 8px 10px; border-radius: 4px; background-color: #f5f5f5; cursor: pointer; overflow: hidden; border-left: 4px solid ${color};">
+                    <div style="display: flex; justify-content: space-between; white-space: nowrap;">
+                        <strong style="overflow: hidden; text-overflow: ellipsis;">${this.escapeHTML(`${req.method} ${pathname}`)}</strong>
+                        <span style="color: ${color}; margin-left: 10px;">${this.escapeHTML(statusText)}</span>
+                    </div>
+                    <div style="font-size: 12px; color: #666; margin-top: 4px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">
+                        ${this.escapeHTML(req.type || '')} · ${new Date(req.timestamp).toLocaleTimeString()}${req.duration !== undefined ? ` · ${req.duration}ms` : ''}${frameText}${tabText}${this.escapeHTML(errorText)}${driftText}
+                    </div>
+                </div>
+            `;
+        }
+        
+        escapeHTML(value) {
+            return String(value === undefined || value === null ? '' : value)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#39;');
+        }
+        
+        showRequestDetail(req) {
             // 确保 document.body 存在
             if (!document.body) {
-                this.log('⚠️ document.body 不存在，延迟创建UI');
-                setTimeout(() => this.createUI(), 100);
+                this.log('⚠️ document.body 不存在，无法显示详情');
                 return;
             }
             
-            // 检查是否已经存在UI元素
-            if (document.getElementById('api-monitor-button')) {
-                this.log('⚠️ UI元素已存在，跳过创建');
-                return;
+            const detailPanel = document.createElement('div');
+            detailPanel.dataset.apiMonitor = this.config.name;
+            detailPanel.style.cssText = `
+                position: fixed;
+                top: 50%;
+                left: 50%;
+                transform: translate(-50%, -50%);
+                width: 90%;
+                max-width: 800px;
+                height: 80%;
+                background-color: white;
+                border-radius: 8px;
+                box-shadow: 0 5px 15px rgba(0,0,0,0.5);
+                z-index: 10000;
+                display: flex;
+                flex-direction: column;
+                overflow: hidden;
+            `;
+            
+            let pathname = req.path || req.url;
+            if (!req.path && req.url) {
+                try {
+                    pathname = new URL(req.url).pathname;
+                } catch (e) {
+                    // 使用完整URL
+                }
             }
             
-            const button = document.createElement('div');
-            button.id = 'api-monitor-button';
-            button.innerHTML = `
-                <div id="api-monitor-icon">🔍</div>
-                <span id="api-monitor-badge">${this.capturedRequests.length}</span>
-            `;
-            button.style.cssText = `
-                position: fixed;
-                bottom: 20px;
-                right: 20px;
-                width: 50px;
-                height: 50px;
-                border-radius: 50%;
+            const header = document.createElement('div');
+            header.style.cssText = `
+                padding: 10px 15px;
                 background-color: #2196F3;
                 color: white;
+                font-weight: bold;
                 display: flex;
+                justify-content: space-between;
                 align-items: center;
-                justify-content: center;
-                cursor: pointer;
-                box-shadow: 0 2px 5px rgba(0,0,0,0.3);
-                z-index: 9999;
             `;
+            header.innerHTML = `
+                <span>${this.escapeHTML(`${req.method} ${pathname}`)}</span>
+                <button data-action="close-detail" style="padding: 5px 10px; background: #555; border: none; color: white; border-radius: 4px; cursor: pointer;">关闭</button>
+            `;
+            detailPanel.appendChild(header);
             
-            const badge = document.createElement('span');
-            badge.id = 'api-monitor-badge';
-            badge.textContent = this.capturedRequests.length;
-            badge.style.cssText = `
-                position: absolute;
-                top: -5px;
-                right: -5px;
-                background-color: red;
-                color: white;
-                border-radius: 50%;
-                width: 20px;
-                height: 20px;
-                font-size: 12px;
+            const actions = document.createElement('div');
+            actions.className = 'detail-actions';
+            actions.style.cssText = `
+                padding: 6px 15px;
+                border-bottom: 1px solid #eee;
                 display: flex;
+                flex-wrap: wrap;
+                gap: 6px;
                 align-items: center;
-                justify-content: center;
+                font-size: 12px;
             `;
-            button.appendChild(badge);
+            const actionStyle = 'padding: 3px 8px; font-size: 12px; background: #eee; border: 1px solid #ccc; border-radius: 4px; cursor: pointer;';
+            // 长连接记录无法生成代码片段或重放
+            const replayable = !CONNECTION_TYPES.includes(req.type);
+            actions.innerHTML = `
+                ${replayable ? `
+                <button data-snippet="curl" style="${actionStyle}">复制 cURL</button>
+                <button data-snippet="fetch" style="${actionStyle}">复制 fetch()</button>
+                <button data-snippet="node" style="${actionStyle}">复制 Node (undici)</button>
+                <button data-snippet="python" style="${actionStyle}">复制 Python requests</button>
+                <button data-action="replay" style="${actionStyle}">重新发送</button>
+                <button data-action="edit-replay" style="${actionStyle}">编辑后重新发送</button>
+                ` : ''}
+                <button data-action="diff" style="${actionStyle}">${this.diffBaseId && this.diffBaseId !== req.id ? '与基准记录对比' : '设为对比基准'}</button>
+                <span class="detail-action-status" style="color: #666;"></span>
+            `;
+            detailPanel.appendChild(actions);
             
-            button.addEventListener('click', () => this.togglePanel());
-            document.body.appendChild(button);
+            const replayRequest = this.buildReplayableRequest(req);
+            const replayBody = replayRequest.formFields ? '' : (replayRequest.body || '');
+            const inputStyle = 'width: 100%; box-sizing: border-box; font-family: monospace; font-size: 12px; padding: 4px; border: 1px solid #ccc; border-radius: 4px;';
+            const editor = document.createElement('div');
+            editor.className = 'detail-replay-editor';
+            editor.style.cssText = `
+                display: none;
+                padding: 10px 15px;
+                border-bottom: 1px solid #eee;
+                background: #fafafa;
+                font-size: 12px;
+            `;
+            editor.innerHTML = `
+                <div style="display: flex; gap: 6px; margin-bottom: 6px;">
+                    <input data-field="method" value="${this.escapeHTML(replayRequest.method)}" style="${inputStyle} width: 80px;">
+                    <input data-field="url" value="${this.escapeHTML(replayRequest.url)}" style="${inputStyle}">
+                </div>
+                <div>请求头 (JSON)</div>
+                <textarea data-field="headers" rows="4" style="${inputStyle}">${this.escapeHTML(JSON.stringify(replayRequest.headers, null, 2))}</textarea>
+                <div>请求体${replayRequest.formFields ? ' (留空则保留原 FormData)' : ''}</div>
+                <textarea data-field="body" rows="6" style="${inputStyle}">${this.escapeHTML(replayBody)}</textarea>
+                <button data-action="send-replay" style="${actionStyle} margin-top: 6px;">发送</button>
+            `;
+            detailPanel.appendChild(editor);
+            
+            const content = document.createElement('div');
+            content.style.cssText = `
+                flex: 1;
+                overflow-y: auto;
+                padding: 15px;
+            `;
+            
+            const formatJSON = (obj) => {
+                let text;
+                try {
+                    text = JSON.stringify(obj, null, 2);
+                } catch (e) {
+                    text = String(obj);
+                }
+                return this.escapeHTML(text);
+            };
+            
+            let html = '<div style="margin-bottom: 15px;">';
+            html += '<h3 style="margin: 0 0 5px 0;">基本信息</h3>';
+            html += '<div style="background: #f5f5f5; padding: 10px; border-radius: 4px;">';
+            
+            if (req.url) html += `<div><strong>URL:</strong> ${this.escapeHTML(req.url)}</div>`;
+            if (req.domain) html += `<div><strong>域名:</strong> ${this.escapeHTML(req.domain)}</div>`;
+            if (req.path) html += `<div><strong>路径:</strong> ${this.escapeHTML(req.path)}</div>`;
+            if (req.method) html += `<div><strong>方法:</strong> ${req.method}</div>`;
+            if (req.status !== undefined) html += `<div><strong>状态码:</strong> <span style="color: ${req.status >= 200 && req.status < 300 ? 'green' : 'red'};">${req.status}</span></div>`;
+            if (req.state) html += `<div><strong>请求状态:</strong> ${REQUEST_STATE_LABELS[req.state] || req.state}</div>`;
+            if (req.error) html += `<div><strong>错误:</strong> <span style="color: red;">[${this.escapeHTML(req.error.type)}] ${this.escapeHTML(req.error.message)}</span></div>`;
+            if (req.timestamp) html += `<div><strong>时间:</strong> ${new Date(req.timestamp).toLocaleString()}</div>`;
+            if (req.duration !== undefined) html += `<div><strong>耗时:</strong> ${req.duration}ms</div>`;
+            if (req.responseSize !== undefined) html += `<div><strong>响应大小:</strong> ${this.formatBytes(req.responseSize)}${req.responseTruncated ? '（已截断）' : ''}</div>`;
+            if (req.chunks && req.chunks.length > 0) {
+                const lastChunk = req.chunks[req.chunks.length - 1];
+                html += `<div><strong>数据块:</strong> ${req.chunkCount} 块，首块到末块 ${lastChunk.time - req.chunks[0].time}ms</div>`;
+            }
+            if (req.initiator) html += `<div><strong>发起者:</strong> ${this.escapeHTML(req.initiator)}</div>`;
+            if (req.jsonpCallback) html += `<div><strong>JSONP回调:</strong> ${this.escapeHTML(req.jsonpCallback)}</div>`;
+            if (req.replayOf) html += `<div><strong>重放自:</strong> ${this.escapeHTML(req.replayOf)}</div>`;
+            if (req.sessionId) {
+                const session = this.sessionState.sessions.find(item => item.id === req.sessionId);
+                html += `<div><strong>会话:</strong> ${this.escapeHTML(session ? session.name : req.sessionId)}</div>`;
+            }
+            if (req.page) {
+                html += `<div><strong>页面:</strong> ${this.escapeHTML(req.page.url)}</div>`;
+                html += `<div><strong>标签页:</strong> ${this.escapeHTML(req.page.tabId)}${req.page.tabId === TAB_ID ? '（当前标签页）' : ''} · 导航 ${this.escapeHTML(req.page.navigationId)}${req.page.navigationId === NAVIGATION_ID ? '（本次加载）' : ''}</div>`;
+            }
+            
+            html += '</div></div>';
+            
+            if (req.mtop) {
+                const mtop = req.mtop;
+                html += '<div style="margin-bottom: 15px;">';
+                html += '<h3 style="margin: 0 0 5px 0;">mtop</h3>';
+                html += '<div style="background: #f5f5f5; padding: 10px; border-radius: 4px;">';
+                html += `<div><strong>api:</strong> ${this.escapeHTML(mtop.api)}${mtop.v ? ` <span style="color: #666;">v${this.escapeHTML(mtop.v)}</span>` : ''}</div>`;
+                if (mtop.appKey !== undefined) html += `<div><strong>appKey:</strong> ${this.escapeHTML(mtop.appKey)}</div>`;
+                if (mtop.t !== undefined) html += `<div><strong>t:</strong> ${this.escapeHTML(mtop.t)}${/^\d{13}$/.test(mtop.t) ? ` <span style="color: #666;">(${new Date(Number(mtop.t)).toLocaleString()})</span>` : ''}</div>`;
+                if (mtop.sign !== undefined) html += `<div><strong>sign:</strong> ${this.escapeHTML(mtop.sign)}</div>`;
+                if (mtop.ret) html += `<div><strong>ret:</strong> <span style="color: ${mtop.success ? 'green' : 'red'};">${this.escapeHTML(mtop.ret.join(' | '))}</span></div>`;
+                html += '</div>';
+                if (mtop.params !== undefined) {
+                    html += '<h4 style="margin: 5px 0;">data</h4>';
+                    html += `<pre style="background: #f5f5f5; padding: 10px; border-radius: 4px; overflow-x: auto; margin: 0;">${formatJSON(mtop.params)}</pre>`;
+                }
+                html += '</div>';
+            }
+            
+            if (req.request || req.requestHeaders) {
+                html += '<div style="margin-bottom: 15px;">';
+                html += '<h3 style="margin: 0 0 5px 0;">请求数据</h3>';
+                
+                if (req.requestHeaders) {
+                    html += '<h4 style="margin: 5px 0;">请求头</h4>';
+                    html += `<pre style="background: #f5f5f5; padding: 10px; border-radius: 4px; overflow-x: auto; margin: 0 0 10px 0;">${formatJSON(req.requestHeaders)}</pre>`;
+                }
+                
+                if (req.request) {
+                    html += '<h4 style="margin: 5px 0;">请求体</h4>';
+                    html += `<pre style="background: #f5f5f5; padding: 10px; border-radius: 4px; overflow-x: auto; margin: 0;">${formatJSON(req.request)}</pre>`;
+                }
+                
+                html += '</div>';
+            }
+            
+            if (Array.isArray(req.frames)) {
+                html += '<div style="margin-bottom: 15px;">';
+                html += '<h3 style="margin: 0 0 5px 0;">消息时间线</h3>';
+                html += this.renderFrameTimeline(req);
+                html += '</div>';
+            }
+            
+            if (req.schemaDrift) {
+                html += '<div style="margin-bottom: 15px;">';
+                html += '<h3 style="margin: 0 0 5px 0; color: #ff9800;">结构变化</h3>';
+                html += this.renderSchemaChanges(req.schemaDrift);
+                html += '</div>';
+            }
+            
+            if (req.timing) {
+                html += '<div style="margin-bottom: 15px;">';
+                html += '<h3 style="margin: 0 0 5px 0;">性能数据</h3>';
+                html += `<pre style="background: #f5f5f5; padding: 10px; border-radius: 4px; overflow-x: auto; margin: 0;">${formatJSON(req.timing)}</pre>`;
+                html += '</div>';
+            }
+            
+            if (req.response || req.responseHeaders) {
+                html += '<div>';
+                html += '<h3 style="margin: 0 0 5px 0;">响应数据</h3>';
+                
+                if (req.responseHeaders) {
+                    html += '<h4 style="margin: 5px 0;">响应头</h4>';
+                    html += `<pre style="background: #f5f5f5; padding: 10px; border-radius: 4px; overflow-x: auto; margin: 0 0 10px 0;">${formatJSON(req.responseHeaders)}</pre>`;
+                }
+                
+                if (req.response) {
+                    html += '<h4 style="margin: 5px 0;">响应体</h4>';
+                    html += `<pre style="background: #f5f5f5; padding: 10px; border-radius: 4px; overflow-x: auto; margin: 0;">${formatJSON(req.response)}</pre>`;
+                }
+                
+                html += '</div>';
+            }
+            
+            content.innerHTML = html;
+            detailPanel.appendChild(content);
+            document.body.appendChild(detailPanel);
+            
+            header.querySelector('[data-action="close-detail"]').addEventListener('click', () => {
+                document.body.removeChild(detailPanel);
+            });
+            
+            const actionStatus = actions.querySelector('.detail-action-status');
+            actions.querySelectorAll('button[data-snippet]').forEach(button => {
+                button.addEventListener('click', () => {
+                    this.copySnippet(req, button.dataset.snippet)
+                        .then(() => {
+                            const redacted = this.redactRecord(req) !== req;
+                            actionStatus.textContent = `已复制 ${button.textContent.replace('复制 ', '')}${redacted ? '（已按脱敏规则替换敏感值，需手动补全）' : ''}`;
+                        })
+                        .catch(e => {
+                            actionStatus.textContent = `复制失败: ${e.message}`;
+                        });
+                });
+            });
+            
+            const sendReplay = (overrides) => {
+                actionStatus.textContent = '正在重新发送...';
+                this.replay(req, overrides)
+                    .then(record => {
+                        // 切换到新记录的详情
+                        if (detailPanel.parentNode) {
+                            detailPanel.parentNode.removeChild(detailPanel);
+                        }
+                        this.showRequestDetail(record);
+                    })
+                    .catch(e => {
+                        actionStatus.textContent = `重新发送失败: ${e.message}`;
+                    });
+            };
+            
+            if (replayable) {
+                actions.querySelector('[data-action="replay"]').addEventListener('click', () => sendReplay({}));
+            }
+            
+            // 先把一条记录设为基准，再在另一条记录的详情中发起对比
+            actions.querySelector('[data-action="diff"]').addEventListener('click', (event) => {
+                if (!this.diffBaseId || this.diffBaseId === req.id) {
+                    this.diffBaseId = req.id;
+                    event.target.textContent = '已设为对比基准';
+                    actionStatus.textContent = '打开另一条记录的详情即可对比';
+                    return;
+                }
+                
+                try {
+                    this.showDiffView(this.diff(this.diffBaseId, req));
+                } catch (e) {
+                    this.diffBaseId = req.id;
+                    actionStatus.textContent = `${e.message}，已改为以当前记录为基准`;
+                }
+            });
+            if (replayable) {
+                actions.querySelector('[data-action="edit-replay"]').addEventListener('click', () => {
+                    editor.style.display = editor.style.display === 'none' ? 'block' : 'none';
+                });
+            }
             
-            this.createPanel();
-            this.renderRequestList();
+            editor.querySelector('[data-action="send-replay"]').addEventListener('click', () => {
+                const field = (name) => editor.querySelector(`[data-field="${name}"]`).value;
+                let headers;
+                try {
+                    headers = JSON.parse(field('headers') || '{}');
+                } catch (e) {
+                    actionStatus.textContent = `请求头不是合法的JSON: ${e.message}`;
+                    return;
+                }
+                
+                const overrides = {
+                    method: field('method'),
+                    url: field('url'),
+                    // 编辑框中是完整的请求头，整体替换
+                    headers: () => headers
+                };
+                
+                const body = field('body');
+                if (body !== replayBody) {
+                    overrides.body = body;
+                }
+                
+                sendReplay(overrides);
+            });
         }
         
-        createPanel() {
-            // 确保 document.body 存在
-            if (!document.body) {
-                this.log('⚠️ document.body 不存在，延迟创建面板');
-                setTimeout(() => this.createPanel(), 100);
-                return;
+        // 连接生命周期和消息按时间排列，时间显示为相对连接开始的偏移
+        renderFrameTimeline(req) {
+            const lifecycle = Array.isArray(req.lifecycle) ? req.lifecycle : [];
+            const items = [
+                ...lifecycle.map(event => ({ time: event.time, event })),
+                ...req.frames.map(frame => ({ time: frame.time, frame }))
+            ].sort((a, b) => a.time - b.time);
+            const startTime = items.length > 0 ? items[0].time : 0;
+            
+            let html = '<div style="font-size: 12px; color: #666; margin-bottom: 6px;">';
+            html += `共 ${req.frameCount || 0} 条消息 · 发送 ${this.formatBytes(req.bytesSent || 0)} · 接收 ${this.formatBytes(req.bytesReceived || 0)}`;
+            if (req.protocol) html += ` · 子协议 ${this.escapeHTML(req.protocol)}`;
+            if (req.droppedFrames) html += ` · 仅保留最近 ${req.frames.length} 条`;
+            html += '</div>';
+            
+            if (items.length === 0) {
+                return html + '<div style="color: #666;">暂无消息</div>';
             }
             
-            // 检查是否已经存在面板
-            if (document.getElementById('api-monitor-panel')) {
-                this.log('⚠️ 面板已存在，跳过创建');
+            html += '<div style="display: flex; flex-direction: column; gap: 4px;">';
+            items.forEach(item => {
+                const offset = `<span style="font-family: monospace; color: #999; margin-right: 6px;">+${item.time - startTime}ms</span>`;
+                
+                if (item.event) {
+                    const { type, code, reason } = item.event;
+                    const details = [code !== undefined ? `code ${code}` : '', reason || ''].filter(Boolean).join(' ');
+                    html += `<div style="color: #666; padding: 2px 6px;">${offset}● ${CONNECTION_EVENT_LABELS[type] || this.escapeHTML(type)}${details ? ` (${this.escapeHTML(details)})` : ''}</div>`;
+                    return;
+                }
+                
+                const frame = item.frame;
+                const style = FRAME_DIRECTION_STYLES[frame.direction] || FRAME_DIRECTION_STYLES.received;
+                const tags = [
+                    frame.event && frame.event !== 'message' ? this.escapeHTML(frame.event) : '',
+                    frame.lastEventId ? `id: ${this.escapeHTML(frame.lastEventId)}` : '',
+                    frame.opcode === 'binary' ? '二进制' : '',
+                    this.formatBytes(frame.size || 0),
+                    frame.truncated ? '<span style="color: #ef6c00;">已截断</span>' : ''
+                ].filter(Boolean).join(' · ');
+                
+                let text = '';
+                if (frame.data !== undefined && frame.data !== null) {
+                    try {
+                        text = typeof frame.data === 'string' ? frame.data : JSON.stringify(frame.data, null, 2);
+                    } catch (e) {
+                        text = String(frame.data);
+                    }
+                }
+                
+                html += `<div style="background: ${style.background}; border-left: 3px solid ${style.color}; padding: 4px 6px; border-radius: 4px;">`;
+                html += `<div>${offset}<strong style="color: ${style.color};">${style.label}</strong> <span style="color: #666;">${tags}</span></div>`;
+                if (text) {
+                    html += `<pre style="margin: 4px 0 0 0; white-space: pre-wrap; word-break: break-all; max-height: 200px; overflow-y: auto;">${this.escapeHTML(text)}</pre>`;
+                }
+                html += '</div>';
+            });
+            html += '</div>';
+            
+            return html;
+        }
+        
+        showDiffView(result) {
+            if (!document.body) {
+                this.log('⚠️ document.body 不存在，无法显示对比');
                 return;
             }
             
-            const panel = document.createElement('div');
-            panel.id = 'api-monitor-panel';
-            panel.style.cssText = `
+            const diffPanel = document.createElement('div');
+            diffPanel.dataset.apiMonitor = this.config.name;
+            diffPanel.className = 'api-monitor-diff';
+            diffPanel.style.cssText = `
                 position: fixed;
-                bottom: 80px;
-                right: 20px;
-                width: 80%;
-                max-width: 800px;
-                height: 70%;
+                top: 50%;
+                left: 50%;
+                transform: translate(-50%, -50%);
+                width: 95%;
+                max-width: 1100px;
+                height: 80%;
                 background-color: white;
                 border-radius: 8px;
-                box-shadow: 0 5px 15px rgba(0,0,0,0.3);
-                z-index: 9998;
-                display: none;
+                box-shadow: 0 5px 15px rgba(0,0,0,0.5);
+                z-index: 10001;
+                display: flex;
                 flex-direction: column;
                 overflow: hidden;
+                font-size: 12px;
             `;
             
+            const describe = (side) => this.escapeHTML(`${side.method || ''} ${side.url || ''} (${side.status !== undefined ? side.status : '-'})`);
+            const { added, removed, changed } = result.summary;
+            
             const header = document.createElement('div');
             header.style.cssText = `
                 padding: 10px 15px;
-                background-color: #2196F3;
+                background-color: #673AB7;
                 color: white;
-                font-weight: bold;
                 display: flex;
                 justify-content: space-between;
                 align-items: center;
             `;
             header.innerHTML = `
-                <span>API监控器 (${this.capturedRequests.length})</span>
-                <div>
-                    <button id="api-monitor-download" style="margin-right: 10px; padding: 5px 10px; background: #4CAF50; border: none; color: white; border-radius: 4px; cursor: pointer;">下载</button>
-                    <button id="api-monitor-clear" style="margin-right: 10px; padding: 5px 10px; background: #f44336; border: none; color: white; border-radius: 4px; cursor: pointer;">清空</button>
-                    <button id="api-monitor-close" style="padding: 5px 10px; background: #555; border: none; color: white; border-radius: 4px; cursor: pointer;">关闭</button>
-                </div>
+                <span><strong>记录对比</strong> 新增 ${added} · 删除 ${removed} · 修改 ${changed}</span>
+                <button data-action="close-diff" style="padding: 5px 10px; background: #555; border: none; color: white; border-radius: 4px; cursor: pointer;">关闭</button>
             `;
-            panel.appendChild(header);
+            diffPanel.appendChild(header);
+            
+            const formatValue = (value) => {
+                if (value === undefined) return '';
+                const text = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+                return this.escapeHTML(text);
+            };
+            const cellStyle = 'padding: 4px 6px; border-bottom: 1px solid #eee; vertical-align: top;';
+            const preStyle = 'margin: 0; white-space: pre-wrap; word-break: break-all; font-size: 12px;';
+            
+            let html = `
+                <table style="width: 100%; border-collapse: collapse; table-layout: fixed; margin-bottom: 10px;">
+                    <tr><td style="${cellStyle} width: 30px;"><strong>A</strong></td><td style="${cellStyle}">${describe(result.a)}</td></tr>
+                    <tr><td style="${cellStyle}"><strong>B</strong></td><td style="${cellStyle}">${describe(result.b)}</td></tr>
+                </table>
+            `;
+            
+            Object.entries(result.sections).forEach(([section, changes]) => {
+                html += `<h3 style="margin: 10px 0 5px 0;">${DIFF_SECTION_LABELS[section]} <span style="color: #999; font-weight: normal;">(${changes.length})</span></h3>`;
+                
+                if (changes.length === 0) {
+                    html += '<div style="color: #999;">无差异</div>';
+                    return;
+                }
+                
+                html += `<table style="width: 100%; border-collapse: collapse; table-layout: fixed;">
+                    <tr style="background: #f5f5f5;">
+                        <th style="${cellStyle} width: 25%; text-align: left;">路径</th>
+                        <th style="${cellStyle} width: 50px; text-align: left;">类型</th>
+                        <th style="${cellStyle} text-align: left;">A</th>
+                        <th style="${cellStyle} text-align: left;">B</th>
+                    </tr>`;
+                changes.forEach(change => {
+                    const style = DIFF_TYPE_STYLES[change.type];
+                    html += `<tr style="background: ${style.background};">
+                        <td style="${cellStyle} font-family: monospace; word-break: break-all;">${this.escapeHTML(change.path)}</td>
+                        <td style="${cellStyle} color: ${style.color};">${style.label}</td>
+                        <td style="${cellStyle}"><pre style="${preStyle}">${formatValue(change.before)}</pre></td>
+                        <td style="${cellStyle}"><pre style="${preStyle}">${formatValue(change.after)}</pre></td>
+                    </tr>`;
+                });
+                html += '</table>';
+            });
             
             const content = document.createElement('div');
-            content.id = 'api-monitor-content';
             content.style.cssText = `
                 flex: 1;
                 overflow-y: auto;
-                padding: 10px;
+                padding: 15px;
             `;
-            panel.appendChild(content);
-            
-            document.body.appendChild(panel);
+            content.innerHTML = html;
+            diffPanel.appendChild(content);
+            document.body.appendChild(diffPanel);
             
-            document.getElementById('api-monitor-download').addEventListener('click', () => this.download());
-            document.getElementById('api-monitor-clear').addEventListener('click', () => this.clear());
-            document.getElementById('api-monitor-close').addEventListener('click', () => this.togglePanel());
+            header.querySelector('[data-action="close-diff"]').addEventListener('click', () => {
+                document.body.removeChild(diffPanel);
+            });
         }
         
-        togglePanel() {
-            const panel = document.getElementById('api-monitor-panel');
-            if (panel.style.display === 'none' || !panel.style.display) {
-                panel.style.display = 'flex';
-                this.renderRequestList();
-            } else {
-                panel.style.display = 'none';
-            }
+        updateDriftCount() {
+            const button = this.getUIElement('drifts');
+            if (!button) return;
+            
+            const count = this.getSchemaDrifts().length;
+            button.textContent = `结构变化 (${count})`;
+            button.style.background = count > 0 ? '#ff9800' : '#eee';
+            button.style.color = count > 0 ? 'white' : '#333';
         }
         
-        renderRequestList() {
-            const content = document.getElementById('api-monitor-content');
-            if (!content) return;
+        renderSchemaChanges(changes) {
+            const cellStyle = 'padding: 3px 6px; border-bottom: 1px solid #eee; text-align: left;';
+            const formatType = type => type === undefined ? '' : this.escapeHTML([].concat(type).join(' | '));
             
-            content.innerHTML = '';
-            
-            if (this.capturedRequests.length === 0) {
-                content.innerHTML = '<div style="padding: 20px; text-align: center; color: #666;">暂无捕获的请求</div>';
-                return;
-            }
-            
-            const sortedRequests = [...this.capturedRequests].reverse();
-            
-            sortedRequests.forEach(req => {
-                const item = document.createElement('div');
-                item.className = 'request-item';
-                item.style.cssText = `
-                    margin-bottom: 10px;
-                    padding: 10px;
-                    border-radius: 4px;
-                    background-color: #f5f5f5;
-                    cursor: pointer;
-                    border-left: 4px solid ${req.status >= 200 && req.status < 300 ? '#4CAF50' : '#f44336'};
-                `;
-                
-                let pathname = req.path || req.url;
-                if (!req.path && req.url) {
-                    try {
-                        pathname = new URL(req.url).pathname;
-                    } catch (e) {
-                        // 使用完整URL
-                    }
-                }
-                
-                item.innerHTML = `
-                    <div style="display: flex; justify-content: space-between;">
-                        <strong>${req.method} ${pathname}</strong>
-                        <span style="color: ${req.status >= 200 && req.status < 300 ? 'green' : 'red'};">${req.status}</span>
-                    </div>
-                    <div style="font-size: 12px; color: #666; margin-top: 5px;">
-                        ${new Date(req.timestamp).toLocaleTimeString()} · ${req.duration}ms
-                    </div>
-                `;
-                
-                item.addEventListener('click', () => this.showRequestDetail(req));
-                content.appendChild(item);
+            let html = `<table style="width: 100%; border-collapse: collapse; font-size: 12px;">
+                <tr style="background: #f5f5f5;"><th style="${cellStyle}">路径</th><th style="${cellStyle}">变化</th><th style="${cellStyle}">原类型</th><th style="${cellStyle}">新类型</th></tr>`;
+            changes.forEach(change => {
+                const style = SCHEMA_CHANGE_STYLES[change.type];
+                html += `<tr style="background: ${style.background};">
+                    <td style="${cellStyle} font-family: monospace;">${this.escapeHTML(change.path)}</td>
+                    <td style="${cellStyle} color: ${style.color};">${style.label}</td>
+                    <td style="${cellStyle}">${formatType(change.expected)}</td>
+                    <td style="${cellStyle}">${formatType(change.actual)}</td>
+                </tr>`;
             });
+            return `${html}</table>`;
         }
         
-        showRequestDetail(req) {
-            // 确保 document.body 存在
+        showSchemaDrifts() {
             if (!document.body) {
-                this.log('⚠️ document.body 不存在，无法显示详情');
+                this.log('⚠️ document.body 不存在，无法显示结构变化');
                 return;
             }
             
-            const detailPanel = document.createElement('div');
-            detailPanel.style.cssText = `
+            const driftPanel = document.createElement('div');
+            driftPanel.dataset.apiMonitor = this.config.name;
+            driftPanel.className = 'api-monitor-drifts';
+            driftPanel.style.cssText = `
                 position: fixed;
                 top: 50%;
                 left: 50%;
                 transform: translate(-50%, -50%);
                 width: 90%;
-                max-width: 800px;
+                max-width: 900px;
                 height: 80%;
                 background-color: white;
                 border-radius: 8px;
                 box-shadow: 0 5px 15px rgba(0,0,0,0.5);
-                z-index: 10000;
+                z-index: 10001;
                 display: flex;
                 flex-direction: column;
                 overflow: hidden;
+                font-size: 12px;
             `;
             
-            let pathname = req.path || req.url;
-            if (!req.path && req.url) {
-                try {
-                    pathname = new URL(req.url).pathname;
-                } catch (e) {
-                    // 使用完整URL
-                }
-            }
-            
             const header = document.createElement('div');
             header.style.cssText = `
                 padding: 10px 15px;
-                background-color: #2196F3;
+                background-color: #ff9800;
                 color: white;
                 font-weight: bold;
                 display: flex;
@@ -756,10 +6687,25 @@
                 align-items: center;
             `;
             header.innerHTML = `
-                <span>${req.method} ${pathname}</span>
-                <button id="detail-close" style="padding: 5px 10px; background: #555; border: none; color: white; border-radius: 4px; cursor: pointer;">关闭</button>
+                <span>接口结构变化</span>
+                <div>
+                    <button data-action="clear-schemas" style="margin-right: 10px; padding: 5px 10px; background: #f44336; border: none; color: white; border-radius: 4px; cursor: pointer;">重置已学习结构</button>
+                    <button data-action="close-drifts" style="padding: 5px 10px; background: #555; border: none; color: white; border-radius: 4px; cursor: pointer;">关闭</button>
+                </div>
             `;
-            detailPanel.appendChild(header);
+            driftPanel.appendChild(header);
+            
+            const drifts = this.getSchemaDrifts().reverse();
+            let html = `<div style="color: #666; margin-bottom: 10px;">已学习 ${this.endpointSchemas.size} 个接口的响应结构</div>`;
+            if (drifts.length === 0) {
+                html += '<div style="color: #999;">暂无结构变化</div>';
+            }
+            drifts.forEach(drift => {
+                html += '<div style="margin-bottom: 15px;">';
+                html += `<h4 style="margin: 0 0 5px 0;">${this.escapeHTML(drift.endpoint)} <span style="color: #999; font-weight: normal;">${new Date(drift.timestamp).toLocaleString()}</span></h4>`;
+                html += this.renderSchemaChanges(drift.changes);
+                html += '</div>';
+            });
             
             const content = document.createElement('div');
             content.style.cssText = `
@@ -767,78 +6713,245 @@
                 overflow-y: auto;
                 padding: 15px;
             `;
+            content.innerHTML = html;
+            driftPanel.appendChild(content);
+            document.body.appendChild(driftPanel);
             
-            function formatJSON(obj) {
-                try {
-                    return JSON.stringify(obj, null, 2);
-                } catch (e) {
-                    return String(obj);
+            header.querySelector('[data-action="close-drifts"]').addEventListener('click', () => {
+                document.body.removeChild(driftPanel);
+            });
+            header.querySelector('[data-action="clear-schemas"]').addEventListener('click', () => {
+                this.clearSchemas();
+                content.innerHTML = '<div style="color: #999;">已重置，后续响应将重新学习结构</div>';
+            });
+        }
+        
+        switchPanelTab(tab) {
+            if (!PANEL_TABS[tab]) return;
+            this.activeTab = tab;
+            
+            Object.entries(PANEL_TABS).forEach(([name, definition]) => {
+                definition.elements.forEach(part => {
+                    const element = this.getUIElement(part);
+                    if (element) element.style.display = name === tab ? definition.display[part] : 'none';
+                });
+                
+                const tabs = this.getUIElement('tabs');
+                const button = tabs && tabs.querySelector(`[data-tab="${name}"]`);
+                if (button) {
+                    button.style.borderBottomColor = name === tab ? '#2196F3' : 'transparent';
+                    button.style.color = name === tab ? '#2196F3' : '#666';
                 }
+            });
+            
+            this.renderActiveTab();
+        }
+        
+        renderActiveTab() {
+            this[PANEL_TABS[this.activeTab].render]();
+        }
+        
+        formatBytes(bytes) {
+            if (bytes < 1024) return `${bytes} B`;
+            if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+            return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+        }
+        
+        // 时间线柱状图，红色部分为错误请求
+        renderTimelineChart(timeline, width, height) {
+            const max = timeline.reduce((value, bucket) => Math.max(value, bucket.count), 0);
+            const barWidth = width / timeline.length;
+            
+            const bars = timeline.map((bucket, index) => {
+                if (!bucket.count) return '';
+                const x = (index * barWidth).toFixed(1);
+                const barHeight = Math.max(1, bucket.count / max * height);
+                const errorHeight = bucket.errors / bucket.count * barHeight;
+                return `<rect x="${x}" y="${(height - barHeight).toFixed(1)}" width="${Math.max(1, barWidth - 1).toFixed(1)}" height="${barHeight.toFixed(1)}" fill="#90caf9"><title>${this.escapeHTML(`${new Date(bucket.start).toLocaleTimeString()} 请求 ${bucket.count} / 错误 ${bucket.errors}`)}</title></rect>` +
+                    (bucket.errors ? `<rect x="${x}" y="${(height - errorHeight).toFixed(1)}" width="${Math.max(1, barWidth - 1).toFixed(1)}" height="${errorHeight.toFixed(1)}" fill="#f44336"></rect>` : '');
+            }).join('');
+            
+            return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" style="display: block; background: #fafafa;">${bars}</svg>`;
+        }
+        
+        renderStatsPanel() {
+            const body = this.getUIElement('stats-body');
+            if (!body) return;
+            
+            const stats = this.getStats({ timeRange: this.statsTimeRange === 'all' ? 0 : this.statsTimeRange });
+            if (stats.total.count === 0) {
+                body.innerHTML = '<div style="padding: 20px; text-align: center; color: #666;">暂无可统计的请求</div>';
+                return;
             }
             
-            let html = '<div style="margin-bottom: 15px;">';
-            html += '<h3 style="margin: 0 0 5px 0;">基本信息</h3>';
-            html += '<div style="background: #f5f5f5; padding: 10px; border-radius: 4px;">';
+            const formatDuration = value => value === null ? '-' : `${value}ms`;
+            const formatRate = rate => `${(rate * 100).toFixed(1)}%`;
+            const formatStatus = status => Object.entries(status)
+                .sort((a, b) => b[1] - a[1])
+                .map(([code, count]) => `<span style="color: ${code.startsWith('2') ? '#4CAF50' : '#f44336'};">${this.escapeHTML(code)}</span>×${count}`)
+                .join(' ');
+            const cellStyle = 'padding: 4px 6px; border-bottom: 1px solid #eee; text-align: left; vertical-align: middle; white-space: nowrap;';
+            const { total } = stats;
             
-            if (req.url) html += `<div><strong>URL:</strong> ${req.url}</div>`;
-            if (req.domain) html += `<div><strong>域名:</strong> ${req.domain}</div>`;
-            if (req.path) html += `<div><strong>路径:</strong> ${req.path}</div>`;
-            if (req.method) html += `<div><strong>方法:</strong> ${req.method}</div>`;
-            if (req.status !== undefined) html += `<div><strong>状态码:</strong> <span style="color: ${req.status >= 200 && req.status < 300 ? 'green' : 'red'};">${req.status}</span></div>`;
-            if (req.timestamp) html += `<div><strong>时间:</strong> ${new Date(req.timestamp).toLocaleString()}</div>`;
-            if (req.duration !== undefined) html += `<div><strong>耗时:</strong> ${req.duration}ms</div>`;
-            if (req.initiator) html += `<div><strong>发起者:</strong> ${req.initiator}</div>`;
+            let html = `
+                <div style="display: flex; flex-wrap: wrap; gap: 15px; margin-bottom: 10px;">
+                    <div><strong>${total.count}</strong> 次请求</div>
+                    <div><strong>${stats.endpoints.length}</strong> 个接口</div>
+                    <div>错误率 <strong style="color: ${total.errorRate > 0 ? '#f44336' : '#4CAF50'};">${formatRate(total.errorRate)}</strong></div>
+                    <div>p50 <strong>${formatDuration(total.duration.p50)}</strong> · p90 <strong>${formatDuration(total.duration.p90)}</strong> · p99 <strong>${formatDuration(total.duration.p99)}</strong></div>
+                    <div>响应 ${this.formatBytes(total.size.response.total)}</div>
+                </div>
+                ${this.renderTimelineChart(total.timeline, 740, 60)}
+                <div style="color: #999; margin: 2px 0 10px 0;">${new Date(stats.range.start).toLocaleTimeString()} - ${new Date(stats.range.end).toLocaleTimeString()}</div>
+                <table style="width: 100%; border-collapse: collapse;">
+                    <tr style="background: #f5f5f5;">
+                        <th style="${cellStyle}">接口</th>
+                        <th style="${cellStyle}">次数</th>
+                        <th style="${cellStyle}">错误率</th>
+                        <th style="${cellStyle}">p50 / p90 / p99</th>
+                        <th style="${cellStyle}">状态码</th>
+                        <th style="${cellStyle}">平均大小 (请求/响应)</th>
+                        <th style="${cellStyle}">时间线</th>
+                    </tr>
+            `;
             
-            html += '</div></div>';
+            stats.endpoints.forEach(endpoint => {
+                html += `
+                    <tr>
+                        <td style="${cellStyle} max-width: 220px; overflow: hidden; text-overflow: ellipsis;" title="${this.escapeHTML(endpoint.endpoint)}">${this.escapeHTML(endpoint.endpoint)}</td>
+                        <td style="${cellStyle}">${endpoint.count}</td>
+                        <td style="${cellStyle} color: ${endpoint.errorRate > 0 ? '#f44336' : '#333'};">${formatRate(endpoint.errorRate)}</td>
+                        <td style="${cellStyle}">${formatDuration(endpoint.duration.p50)} / ${formatDuration(endpoint.duration.p90)} / ${formatDuration(endpoint.duration.p99)}</td>
+                        <td style="${cellStyle}">${formatStatus(endpoint.status)}</td>
+                        <td style="${cellStyle}">${this.formatBytes(endpoint.size.request.avg)} / ${this.formatBytes(endpoint.size.response.avg)}</td>
+                        <td style="${cellStyle}">${this.renderTimelineChart(endpoint.timeline, 120, 20)}</td>
+                    </tr>
+                `;
+            });
             
-            if (req.request || req.requestHeaders) {
-                html += '<div style="margin-bottom: 15px;">';
-                html += '<h3 style="margin: 0 0 5px 0;">请求数据</h3>';
-                
-                if (req.requestHeaders) {
-                    html += '<h4 style="margin: 5px 0;">请求头</h4>';
-                    html += `<pre style="background: #f5f5f5; padding: 10px; border-radius: 4px; overflow-x: auto; margin: 0 0 10px 0;">${formatJSON(req.requestHeaders)}</pre>`;
-                }
-                
-                if (req.request) {
-                    html += '<h4 style="margin: 5px 0;">请求体</h4>';
-                    html += `<pre style="background: #f5f5f5; padding: 10px; border-radius: 4px; overflow-x: auto; margin: 0;">${formatJSON(req.request)}</pre>`;
-                }
-                
-                html += '</div>';
+            body.innerHTML = `${html}</table>`;
+        }
+        
+        renderTablesPanel() {
+            const body = this.getUIElement('tables-body');
+            const container = this.getUIElement('tables');
+            if (!body || !container) return;
+            
+            const select = container.querySelector('select[data-tables="name"]');
+            const count = container.querySelector('[data-tables="count"]');
+            const tables = this.getTables();
+            
+            if (tables.length === 0) {
+                select.innerHTML = '';
+                count.textContent = '';
+                body.innerHTML = '<div style="padding: 20px; text-align: center; color: #666;">未配置数据提取规则（见 startAPIMonitor 的 extractions）</div>';
+                return;
             }
             
-            if (req.response || req.responseHeaders) {
-                html += '<div>';
-                html += '<h3 style="margin: 0 0 5px 0;">响应数据</h3>';
-                
-                if (req.responseHeaders) {
-                    html += '<h4 style="margin: 5px 0;">响应头</h4>';
-                    html += `<pre style="background: #f5f5f5; padding: 10px; border-radius: 4px; overflow-x: auto; margin: 0 0 10px 0;">${formatJSON(req.responseHeaders)}</pre>`;
-                }
-                
-                if (req.response) {
-                    html += '<h4 style="margin: 5px 0;">响应体</h4>';
-                    html += `<pre style="background: #f5f5f5; padding: 10px; border-radius: 4px; overflow-x: auto; margin: 0;">${formatJSON(req.response)}</pre>`;
-                }
-                
-                html += '</div>';
+            if (!tables.some(table => table.name === this.activeTable)) {
+                this.activeTable = tables[0].name;
             }
+            select.innerHTML = tables
+                .map(table => `<option value="${this.escapeHTML(table.name)}"${table.name === this.activeTable ? ' selected' : ''}>${this.escapeHTML(table.name)} (${table.rowCount})</option>`)
+                .join('');
             
-            content.innerHTML = html;
-            detailPanel.appendChild(content);
-            document.body.appendChild(detailPanel);
+            const table = this.getTable(this.activeTable);
+            count.textContent = `${table.rows.length} 行${table.key ? `，按 ${table.key} 去重` : ''}`;
             
-            document.getElementById('detail-close').addEventListener('click', () => {
-                document.body.removeChild(detailPanel);
+            if (table.rows.length === 0) {
+                body.innerHTML = '<div style="padding: 20px; text-align: center; color: #666;">暂无提取到的数据</div>';
+                return;
+            }
+            
+            const cellStyle = 'padding: 4px 6px; border-bottom: 1px solid #eee; text-align: left; vertical-align: top; max-width: 240px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+            const formatCell = value => {
+                if (value === undefined || value === null) return '';
+                return typeof value === 'object' ? JSON.stringify(value) : String(value);
+            };
+            
+            let html = '<table style="width: 100%; border-collapse: collapse;"><tr style="background: #f5f5f5;">';
+            html += table.columns.map(column => `<th style="${cellStyle}">${this.escapeHTML(column)}</th>`).join('');
+            html += '</tr>';
+            table.rows.slice(0, TABLE_PREVIEW_ROWS).forEach(row => {
+                html += '<tr>';
+                html += table.columns.map(column => {
+                    const text = this.escapeHTML(formatCell(row[column]));
+                    return `<td style="${cellStyle}" title="${text}">${text}</td>`;
+                }).join('');
+                html += '</tr>';
             });
+            html += '</table>';
+            
+            if (table.rows.length > TABLE_PREVIEW_ROWS) {
+                html += `<div style="color: #999; margin-top: 6px;">仅显示前 ${TABLE_PREVIEW_ROWS} 行，导出可获得全部数据</div>`;
+            }
+            
+            body.innerHTML = html;
+        }
+        
+        renderSessionBar() {
+            const bar = this.getUIElement('sessions');
+            if (!bar) return;
+            
+            // 列表每 100ms 重绘一次，会话和记录都没有变化时不必重新统计
+            const records = this.capturedRequests;
+            const signature = JSON.stringify([
+                this.sessionState,
+                this.sessionView,
+                records.length,
+                records.length > 0 ? records[0].id : null,
+                records.length > 0 ? records[records.length - 1].id : null
+            ]);
+            if (signature === this.sessionBarSignature) return;
+            this.sessionBarSignature = signature;
+            
+            const sessions = this.getSessions();
+            const active = sessions.find(session => session.active);
+            const options = [
+                ['active', active ? `当前会话 · ${active.name}` : '当前会话（未开始）'],
+                ['all', '全部记录']
+            ].concat(sessions.slice().reverse().map(session => [
+                session.id,
+                `${session.name}${session.active ? '（记录中）' : ''} (${session.recordCount})`
+            ]));
+            
+            // 选项不变时只更新文字，避免打断正在展开的下拉框
+            const select = bar.querySelector('select[data-session="view"]');
+            const sameOptions = select.options.length === options.length &&
+                options.every(([value], index) => select.options[index].value === value);
+            if (sameOptions) {
+                options.forEach(([, label], index) => {
+                    if (select.options[index].textContent !== label) {
+                        select.options[index].textContent = label;
+                    }
+                });
+            } else {
+                select.innerHTML = options
+                    .map(([value, label]) => `<option value="${this.escapeHTML(value)}">${this.escapeHTML(label)}</option>`)
+                    .join('');
+            }
+            if (select.value !== this.sessionView) {
+                select.value = this.sessionView;
+            }
+            bar.querySelector('[data-session="stop"]').disabled = !active;
+            bar.querySelector('[data-session="rename"]').disabled = !this.getViewSessionId();
+            bar.querySelector('[data-session="status"]').textContent = active
+                ? `● 记录中，开始于 ${new Date(active.startedAt).toLocaleTimeString()}`
+                : '未在记录会话';
         }
         
         updateBadgeCount() {
-            const badge = document.getElementById('api-monitor-badge');
+            const badge = this.getUIElement('badge');
             if (badge) {
                 badge.textContent = this.capturedRequests.length;
             }
+            
+            const title = this.getUIElement('title');
+            if (title) {
+                title.textContent = this.getPanelTitle();
+            }
+            
+            this.scheduleListRender();
         }
         
         log(...args) {
@@ -847,45 +6960,138 @@
             }
         }
         
+        // 运行时修改配置，嵌套字段按 mergeConfig 的规则合并
+        updateConfig(changes = {}) {
+            const { rules, plugins, name, ...rest } = changes;
+            const currentRules = this.config.rules;
+            this.config = this.mergeConfig(this.config, rest);
+            this.config.rules = currentRules;
+            
+            if (rest.extractions !== undefined) {
+                this.config.extractions = rest.extractions.map((rule, index) => this.normalizeExtraction(rule, index));
+            }
+            
+            // 开启上传时继续处理之前积压的队列
+            if (rest.sink !== undefined && this.config.sink.enabled && this.sinkState.queue.length > 0 &&
+                !this.sinkState.inFlight && !this.sinkState.nextRetryAt) {
+                this.scheduleSinkFlush();
+            }
+            
+            // 规则需要补全ID，插件通过 use 注册，实例名称创建后不可修改
+            if (rules !== undefined) {
+                this.config.rules = [];
+                rules.forEach(rule => this.addRule(rule));
+            }
+            
+            this.notifyConfigChanged(changes);
+            return this.config;
+        }
+        
+        notifyConfigChanged(changes) {
+            this.triggerEvent('configChanged', { changes: changes, config: this.config });
+        }
+        
         triggerEvent(eventName, data) {
-            const event = new CustomEvent(`apiMonitor:${eventName}`, {
-                detail: data
-            });
-            window.dispatchEvent(event);
+            this.events.emit(eventName, data);
+            
+            // 默认实例继续派发 window 事件，兼容 addEventListener('apiMonitor:...') 的旧写法
+            if (this.config.name === DEFAULT_CONFIG.name) {
+                window.dispatchEvent(new CustomEvent(`apiMonitor:${eventName}`, {
+                    detail: data
+                }));
+            }
         }
         
+        // 返回取消监听的函数
         on(eventName, callback) {
-            window.addEventListener(`apiMonitor:${eventName}`, (event) => {
-                callback(event.detail);
-            });
+            return this.events.on(eventName, callback);
+        }
+        
+        once(eventName, callback) {
+            return this.events.once(eventName, callback);
         }
         
         off(eventName, callback) {
-            window.removeEventListener(`apiMonitor:${eventName}`, callback);
+            return this.events.off(eventName, callback);
         }
     }
     
+    // 为实例创建精简的全局API
+    function createMonitorAPI(monitor) {
+        return {
+            name: monitor.config.name,
+            getRequests: () => monitor.getRequests(),
+            getPendingRequests: () => monitor.getPendingRequests(),
+            clear: () => monitor.clear(),
+            download: (filename) => monitor.download(filename),
+            downloadHAR: (filename) => monitor.downloadHAR(filename),
+            exportHAR: () => monitor.exportHAR(),
+            downloadOpenAPI: (filename) => monitor.downloadOpenAPI(filename),
+            exportOpenAPI: () => monitor.exportOpenAPI(),
+            toSnippet: (id, format) => monitor.toSnippet(id, format),
+            copySnippet: (id, format) => monitor.copySnippet(id, format),
+            replay: (id, overrides) => monitor.replay(id, overrides),
+            diff: (idA, idB) => monitor.diff(idA, idB),
+            getSchemas: () => monitor.getSchemas(),
+            getSchemaDrifts: () => monitor.getSchemaDrifts(),
+            clearSchemas: () => monitor.clearSchemas(),
+            getStats: (options) => monitor.getStats(options),
+            getTables: () => monitor.getTables(),
+            getTable: (name) => monitor.getTable(name),
+            clearTable: (name) => monitor.clearTable(name),
+            exportTable: (name, format) => monitor.exportTable(name, format),
+            downloadTable: (name, format, filename) => monitor.downloadTable(name, format, filename),
+            flushSink: () => monitor.flushSink(),
+            startSession: (name) => monitor.startSession(name),
+            stopSession: () => monitor.stopSession(),
+            renameSession: (id, name) => monitor.renameSession(id, name),
+            switchSession: (view) => monitor.switchSession(view),
+            getSessions: () => monitor.getSessions(),
+            getActiveSession: () => monitor.getActiveSession(),
+            getSessionRequests: (id) => monitor.getSessionRequests(id),
+            getSinkStatus: () => monitor.getSinkStatus(),
+            use: (plugin) => monitor.use(plugin),
+            unuse: (name) => monitor.unuse(name),
+            start: () => monitor.start(),
+            stop: () => monitor.stop(),
+            destroy: () => monitor.destroy(),
+            getConfig: () => monitor.config,
+            getFilter: () => monitor.getFilter(),
+            getRedaction: () => monitor.getRedaction(),
+            setRedaction: (redaction) => monitor.setRedaction(redaction),
+            setFilter: (filter) => monitor.setFilter(filter),
+            getStorageInfo: () => monitor.getStorageInfo(),
+            addRule: (rule) => monitor.addRule(rule),
+            updateRule: (id, changes) => monitor.updateRule(id, changes),
+            removeRule: (id) => monitor.removeRule(id),
+            getRules: () => monitor.getRules(),
+            clearRules: () => monitor.clearRules(),
+            updateConfig: (newConfig) => monitor.updateConfig(newConfig),
+            on: (eventName, callback) => monitor.on(eventName, callback),
+            once: (eventName, callback) => monitor.once(eventName, callback),
+            off: (eventName, callback) => monitor.off(eventName, callback)
+        };
+    }
+    
     // 全局启动函数
     window.startAPIMonitor = function(config = {}) {
         try {
+            // 同名实例只创建一次，重复调用（如 DOMContentLoaded 和 load 时各调用一次）返回已有实例
+            const name = config.name || DEFAULT_CONFIG.name;
+            const existing = monitorInstances.get(name);
+            if (existing) {
+                console.log(`ℹ️ API监控器 ${name} 已存在，返回现有实例`);
+                return existing;
+            }
+            
             // 创建监控器实例
             const monitor = new APIMonitor(config);
             
-            // 保存到全局变量
-            window.apiMonitor = monitor;
-            
-            // 添加全局API
-            window.monitorAPI = {
-                getRequests: () => monitor.getRequests(),
-                clear: () => monitor.clear(),
-                download: (filename) => monitor.download(filename),
-                start: () => monitor.start(),
-                stop: () => monitor.stop(),
-                getConfig: () => monitor.config,
-                updateConfig: (newConfig) => {
-                    Object.assign(monitor.config, newConfig);
-                }
-            };
+            // 默认实例（或第一个实例）保存到全局变量
+            if (name === DEFAULT_CONFIG.name || !window.apiMonitor) {
+                window.apiMonitor = monitor;
+                window.monitorAPI = createMonitorAPI(monitor);
+            }
             
             console.log('✅ API监控器启动成功');
             return monitor;
@@ -896,6 +7102,14 @@
         }
     };
     
+    window.getAPIMonitor = function(name = DEFAULT_CONFIG.name) {
+        return monitorInstances.get(name) || null;
+    };
+    
+    window.getAPIMonitors = function() {
+        return Array.from(monitorInstances.values());
+    };
+    
     // 暴露类到全局（可选）
     window.APIMonitor = APIMonitor;
     
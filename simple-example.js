@@ -49,6 +49,11 @@
     }
 
     function startMonitoring() {
+        // startAPIMonitor 对同名实例是幂等的，已启动时不再重复注册事件监听
+        if (typeof window.getAPIMonitor === 'function' && window.getAPIMonitor()) {
+            return;
+        }
+        
         log('1688 API监控器启动中...');
         
         // 检查是否在aplus脚本之前执行
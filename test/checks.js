@@ -0,0 +1,136 @@
+// 在浏览器中运行的检查，页面和收集端由 stand-in-server.js 提供
+(function() {
+    'use strict';
+
+    const results = [];
+    const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+    const getAttempts = name => fetch(`/attempts/${name}`).then(response => response.json());
+
+    const check = (name, ok, detail) => {
+        results.push({ name: name, ok: !!ok, detail: detail });
+    };
+
+    // 每项检查使用独立的实例，只捕获 /api/ 下的示例接口
+    const startMonitor = (name, config = {}) => window.startAPIMonitor({
+        name: name,
+        enableUI: false,
+        enableLog: false,
+        targetPaths: ['/api/*'],
+        ...config
+    });
+
+    // 收集端第一次返回 500，按 retryDelay 退避后重试成功
+    async function checkSinkRetry() {
+        const monitor = startMonitor('sink-retry', {
+            sink: { enabled: true, url: '/collect/retry', batchSize: 2, flushInterval: 100, retryDelay: 200 }
+        });
+        const events = [];
+        monitor.on('sinkError', e => events.push({ type: 'error', status: e.status, attempt: e.attempt, retryIn: e.retryIn }));
+        monitor.on('sinkFlushed', e => events.push({ type: 'flushed', count: e.count, queued: e.queued }));
+
+        await fetch('/api/items?n=1');
+        await fetch('/api/items?n=2');
+        await sleep(1000);
+
+        const attempts = await getAttempts('retry');
+        check('sink: 500 后按 retryDelay 退避重试',
+            events[0] && events[0].type === 'error' && events[0].status === 500 && events[0].retryIn === 200, events);
+        check('sink: 重试成功后队列清空',
+            events.some(e => e.type === 'flushed' && e.count === 2) && monitor.getSinkStatus().queued === 0, monitor.getSinkStatus());
+        check('sink: 收集端先收到 500 再收到 200，两次上传内容相同',
+            attempts.map(attempt => attempt.status).join() === '500,200' &&
+            JSON.stringify(attempts[0].records) === JSON.stringify(attempts[1].records), attempts.map(attempt => attempt.status));
+
+        monitor.destroy();
+    }
+
+    // 队列超过 maxQueueSize 时丢弃最早的记录
+    async function checkQueueOverflow() {
+        const monitor = startMonitor('sink-overflow', {
+            sink: { enabled: true, url: '/collect/ok', batchSize: 100, flushInterval: 60000, maxQueueSize: 3 }
+        });
+
+        for (let i = 1; i <= 5; i++) {
+            await fetch(`/api/items?n=${i}`);
+        }
+        await sleep(200);
+
+        const queued = monitor.getSinkStatus().queued;
+        const count = await monitor.flushSink();
+        const attempts = await getAttempts('ok');
+        const urls = attempts.length > 0 ? attempts[attempts.length - 1].records.map(record => record.url) : [];
+
+        check('sink: 超出 maxQueueSize 时只保留 3 条', queued === 3 && count === 3, { queued, count });
+        check('sink: 丢弃的是最早的记录', urls.join() === '/api/items?n=3,/api/items?n=4,/api/items?n=5', urls);
+
+        monitor.destroy();
+    }
+
+    // 未开启上传的实例不接管其他标签页留下的队列
+    async function checkDisabledSinkKeepsQueues() {
+        const key = 'api_monitor_requests_sink-disabled_sink_tab_closedtab';
+        const entry = { tabId: 'tab_closedtab', releasedAt: Date.now(), records: [{ id: 'orphan', url: '/api/orphan' }] };
+        localStorage.setItem(key, JSON.stringify(entry));
+
+        const monitor = startMonitor('sink-disabled', { sink: { enabled: false, url: '/collect/ok' } });
+        check('sink: 未开启上传时不接管已关闭标签页的队列',
+            localStorage.getItem(key) !== null && monitor.getSinkStatus().queued === 0, monitor.getSinkStatus());
+
+        monitor.destroy();
+        localStorage.removeItem(key);
+    }
+
+    // 带签名的 URL 保存时被脱敏，资源计时条目仍带原始 URL，应合并到同一条记录
+    async function checkSignedResourceEntry() {
+        // 模拟响应不经过网络，浏览器不会产生真实的资源条目
+        const monitor = startMonitor('signed-timing', {
+            rules: [{ match: { url: '/api/signed' }, mockResponse: { body: { ok: 1 } } }]
+        });
+        const url = '/api/signed/1.0/?t=1&sign=abc';
+
+        await fetch(url);
+        await sleep(100);
+        monitor.handleResourceEntry({
+            name: new URL(url, location.href).href,
+            initiatorType: 'fetch',
+            startTime: performance.now() - 100,
+            duration: 20
+        });
+        await sleep(1500);
+
+        const records = monitor.getRequests();
+        check('脱敏: 带签名 URL 的资源条目合并到 fetch 记录',
+            records.length === 1 && records[0].type === 'fetch' && !!records[0].timing && records[0].url.includes('sign=******'),
+            records.map(record => ({ type: record.type, url: record.url, timing: !!record.timing })));
+
+        monitor.destroy();
+    }
+
+    async function run() {
+        // 清理上次运行留下的数据
+        Object.keys(localStorage)
+            .filter(key => key.startsWith('api_monitor_'))
+            .forEach(key => localStorage.removeItem(key));
+
+        const checks = [checkSinkRetry, checkQueueOverflow, checkDisabledSinkKeepsQueues, checkSignedResourceEntry];
+        for (const fn of checks) {
+            try {
+                await fn();
+            } catch (e) {
+                check(fn.name, false, String(e && e.stack || e));
+            }
+        }
+
+        document.getElementById('results').textContent = results
+            .map(result => `${result.ok ? '✅' : '❌'} ${result.name}${result.ok ? '' : ` ${JSON.stringify(result.detail)}`}`)
+            .join('\n');
+
+        await fetch('/report', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(results)
+        });
+    }
+
+    run();
+})();
@@ -0,0 +1,110 @@
+// 本地收集端替身和浏览器检查页面，不依赖任何 npm 包
+// 用法: node test/stand-in-server.js [端口]，然后在浏览器中打开输出的地址
+// 页面运行 test/checks.js 中的检查并把结果提交回来，全部通过时以 0 退出，否则以 1 退出
+(function() {
+    'use strict';
+
+    const http = require('http');
+    const fs = require('fs');
+    const path = require('path');
+
+    const PORT = Number(process.argv[2]) || 8765;
+    const ROOT = path.join(__dirname, '..');
+    // 浏览器一直没有提交结果时自动退出
+    const REPORT_TIMEOUT = 120000;
+
+    const STATIC_FILES = {
+        '/': ['test/checks.html', 'text/html; charset=utf-8'],
+        '/checks.js': ['test/checks.js', 'text/javascript; charset=utf-8'],
+        '/api-monitor-standalone.js': ['api-monitor-standalone.js', 'text/javascript; charset=utf-8']
+    };
+
+    // 收集端行为: /collect/<名称>，每次上传按顺序取一个状态码，用完后一直返回最后一个
+    const COLLECTOR_SCRIPTS = {
+        ok: [200],
+        retry: [500, 200]
+    };
+    const collectorAttempts = {};
+
+    const readBody = (req) => new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+
+    const sendJSON = (res, status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify(data));
+    };
+
+    const handleCollect = (name, req, res) => {
+        const script = COLLECTOR_SCRIPTS[name];
+        if (!script) {
+            sendJSON(res, 404, { error: `未知的收集端: ${name}` });
+            return;
+        }
+
+        readBody(req).then(text => {
+            const attempts = collectorAttempts[name] || (collectorAttempts[name] = []);
+            const status = script[Math.min(attempts.length, script.length - 1)];
+            let batch = null;
+            try {
+                batch = JSON.parse(text);
+            } catch (e) {
+                batch = null;
+            }
+
+            attempts.push({ status: status, records: batch && Array.isArray(batch.records) ? batch.records : null });
+            console.log(`📥 /collect/${name} 第 ${attempts.length} 次上传 -> ${status}`);
+            sendJSON(res, status, { received: attempts.length });
+        });
+    };
+
+    const handleReport = (req, res, server) => {
+        readBody(req).then(text => {
+            const results = JSON.parse(text);
+            results.forEach(result => {
+                console.log(`${result.ok ? '✅' : '❌'} ${result.name}${result.ok ? '' : `\n   ${JSON.stringify(result.detail)}`}`);
+            });
+
+            const failed = results.filter(result => !result.ok).length;
+            console.log(failed === 0 ? `\n全部 ${results.length} 项检查通过` : `\n${failed} / ${results.length} 项检查失败`);
+            sendJSON(res, 200, { failed: failed });
+
+            process.exitCode = failed === 0 ? 0 : 1;
+            server.close();
+        });
+    };
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, `http://${req.headers.host}`);
+
+        if (STATIC_FILES[url.pathname]) {
+            const [file, type] = STATIC_FILES[url.pathname];
+            res.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+            fs.createReadStream(path.join(ROOT, file)).pipe(res);
+        } else if (url.pathname.startsWith('/api/')) {
+            // 被监控的示例接口，原样返回查询参数
+            sendJSON(res, 200, { path: url.pathname, query: Object.fromEntries(url.searchParams) });
+        } else if (req.method === 'POST' && url.pathname.startsWith('/collect/')) {
+            handleCollect(url.pathname.substring('/collect/'.length), req, res);
+        } else if (url.pathname.startsWith('/attempts/')) {
+            sendJSON(res, 200, collectorAttempts[url.pathname.substring('/attempts/'.length)] || []);
+        } else if (req.method === 'POST' && url.pathname === '/report') {
+            handleReport(req, res, server);
+        } else {
+            sendJSON(res, 404, { error: 'Not Found' });
+        }
+    });
+
+    server.listen(PORT, () => {
+        console.log(`🚀 请在浏览器中打开 http://localhost:${PORT}/`);
+    });
+
+    setTimeout(() => {
+        console.log('❌ 等待检查结果超时');
+        process.exitCode = 1;
+        server.close();
+    }, REPORT_TIMEOUT).unref();
+})();